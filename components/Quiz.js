@@ -0,0 +1,284 @@
+import {useEffect, useRef, useState} from 'react';
+import styles from './Quiz.module.css';
+import ChoiceQuestion from './quiz/ChoiceQuestion';
+import OrderingQuestion from './quiz/OrderingQuestion';
+import ShortAnswerQuestion from './quiz/ShortAnswerQuestion';
+import TrueFalseQuestion from './quiz/TrueFalseQuestion';
+
+// Renderer and "has the learner answered this" check per question type;
+// grading lives on the server in lib/quiz.js
+const QUESTION_TYPES = {
+    single: {
+        Component: ChoiceQuestion,
+        isAnswered: value => value !== undefined && value !== null
+    },
+    multiple: {
+        Component: ChoiceQuestion,
+        isAnswered: value => Array.isArray(value) && value.length > 0
+    },
+    true_false: {
+        Component: TrueFalseQuestion,
+        isAnswered: value => typeof value === 'boolean'
+    },
+    short_answer: {
+        Component: ShortAnswerQuestion,
+        isAnswered: value => typeof value === 'string' && value.trim() !== ''
+    },
+    ordering: {
+        Component: OrderingQuestion,
+        // The initial order is itself an answer
+        isAnswered: () => true,
+        defaultValue: question => question.choices.map(choice => choice.choice)
+    }
+};
+
+const getType = (question) => QUESTION_TYPES[question.type || 'single'];
+
+const formatDuration = (totalSeconds) => {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+export default function Quiz({lessonId, enrollmentId, summary, onAttempt}) {
+    // {attemptId, seed, questions, deadline}; deadline is in client clock time
+    const [attempt, setAttempt] = useState(null);
+    const [selectedAnswers, setSelectedAnswers] = useState({});
+    const [results, setResults] = useState({});
+    const [correctCount, setCorrectCount] = useState(0);
+    const [grade, setGrade] = useState(null);
+    const [submitted, setSubmitted] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+    const [starting, setStarting] = useState(false);
+    const [submitError, setSubmitError] = useState('');
+    const [secondsLeft, setSecondsLeft] = useState(null);
+
+    // The countdown submits from a timer, so it needs the latest answers
+    const answersRef = useRef(selectedAnswers);
+    answersRef.current = selectedAnswers;
+    const submittingRef = useRef(false);
+
+    const quizData = attempt?.questions || [];
+
+    const handleAnswerSelect = (questionKey, value) => {
+        setSelectedAnswers(prev => ({
+            ...prev,
+            [questionKey]: value
+        }));
+    };
+
+    const isAnswered = (question) => {
+        const type = getType(question);
+        return Boolean(type) && type.isAnswered(selectedAnswers[question.question_key]);
+    };
+
+    const handleStart = async () => {
+        setStarting(true);
+        setSubmitError('');
+        try {
+            const requestedAt = Date.now();
+            const response = await fetch(`/api/lessons/${encodeURIComponent(lessonId)}/quiz-attempts`, {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify({enrollmentId})
+            });
+            const started = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(started.error || `Request failed with status ${response.status}`);
+            }
+
+            let deadline = null;
+            if (started.expiresAt) {
+                // Convert the server's expiry to client time to allow for clock skew
+                const clockOffset = Date.parse(started.serverTime) - requestedAt;
+                deadline = Date.parse(started.expiresAt) - clockOffset;
+            } else if (started.timeLimitSeconds) {
+                deadline = Date.now() + started.timeLimitSeconds * 1000;
+            }
+
+            setSelectedAnswers({});
+            setResults({});
+            setCorrectCount(0);
+            setGrade(null);
+            setSubmitted(false);
+            setAttempt({
+                attemptId: started.attemptId,
+                seed: started.seed,
+                questions: started.questions,
+                deadline
+            });
+        } catch (err) {
+            setSubmitError(err.message || 'Failed to start quiz');
+        } finally {
+            setStarting(false);
+        }
+    };
+
+    const submitAnswers = async (answerSheet) => {
+        if (submittingRef.current) return;
+        submittingRef.current = true;
+
+        const answers = {};
+        quizData.forEach(question => {
+            const type = getType(question);
+            if (!type) return;
+            const value = answerSheet[question.question_key] ?? type.defaultValue?.(question);
+            if (type.isAnswered(value)) answers[question.question_key] = value;
+        });
+
+        setSubmitting(true);
+        setSubmitError('');
+        try {
+            const response = await fetch(`/api/lessons/${encodeURIComponent(lessonId)}/quiz-submissions`, {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify({
+                    enrollmentId,
+                    attemptId: attempt.attemptId,
+                    seed: attempt.seed,
+                    selectedAnswers: answers
+                })
+            });
+            const graded = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(graded.error || `Request failed with status ${response.status}`);
+            }
+            setResults(graded.results);
+            setCorrectCount(graded.correctCount);
+            setGrade({score: graded.score, passed: graded.passed, passThreshold: graded.passThreshold});
+            setSubmitted(true);
+            if (graded.attempt && onAttempt) onAttempt(graded.attempt);
+        } catch (err) {
+            setSubmitError(err.message || 'Failed to submit answers');
+        } finally {
+            submittingRef.current = false;
+            setSubmitting(false);
+        }
+    };
+
+    const handleSubmit = () => {
+        // Only process answers if user has answered at least one question;
+        // ordering questions always have an answer, so they do not count
+        const needInput = quizData.filter(question => getType(question) !== QUESTION_TYPES.ordering);
+        if (needInput.length > 0 && !needInput.some(isAnswered)) {
+            setSubmitError('Answer at least one question before submitting');
+            return;
+        }
+        submitAnswers(selectedAnswers);
+    };
+
+    // Count down and submit whatever has been answered when time runs out
+    useEffect(() => {
+        if (!attempt?.deadline || submitted) {
+            setSecondsLeft(null);
+            return undefined;
+        }
+        const tick = () => {
+            const remaining = Math.max(0, Math.ceil((attempt.deadline - Date.now()) / 1000));
+            setSecondsLeft(remaining);
+            if (remaining === 0) {
+                clearInterval(timer);
+                submitAnswers(answersRef.current);
+            }
+        };
+        const timer = setInterval(tick, 1000);
+        tick();
+        return () => clearInterval(timer);
+    }, [attempt, submitted]); // submitAnswers only changes with the attempt
+
+    if (!attempt) {
+        return (
+            <div className={styles.quizContainer}>
+                <p>
+                    {summary.questionCount} question{summary.questionCount === 1 ? '' : 's'}
+                    {summary.timeLimitSeconds ? ` with a ${formatDuration(summary.timeLimitSeconds)} time limit` : ''}.
+                    You need {summary.passThreshold}% to pass.
+                </p>
+                <div className={styles.quizControls}>
+                    <button onClick={handleStart} className={styles.submitButton} disabled={starting}>
+                        {starting ? 'Starting...' : 'Start Quiz'}
+                    </button>
+                    {submitError && <div className={styles.quizError}>{submitError}</div>}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.quizContainer}>
+            {secondsLeft !== null && (
+                <div className={`${styles.quizTimer} ${secondsLeft <= 60 ? styles.quizTimerLow : ''}`}>
+                    Time left: {formatDuration(secondsLeft)}
+                </div>
+            )}
+
+            {quizData.map((question, index) => {
+                const type = getType(question);
+                const result = submitted && results ? results[question.question_key] : null;
+                return (
+                    <div key={question.question_key} className={styles.quizQuestion}>
+                        <h3>Question {index + 1}: {question.question}</h3>
+
+                        {type ? (
+                            <type.Component
+                                question={question}
+                                value={selectedAnswers[question.question_key]}
+                                onChange={value => handleAnswerSelect(question.question_key, value)}
+                                disabled={submitted || submitting}
+                                result={result}
+                            />
+                        ) : (
+                            <p className={styles.quizError}>This question type is not supported.</p>
+                        )}
+
+                        {result && result.selected !== null && (
+                            <div className={styles.questionFeedback}>
+                                {result.correct
+                                    ? "Correct!"
+                                    : "Incorrect. Please review the correct answer."}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+
+            <div className={styles.quizControls}>
+                {!submitted ? (
+                    <>
+                        <button
+                            onClick={handleSubmit}
+                            className={styles.submitButton}
+                            disabled={submitting || secondsLeft === 0}
+                        >
+                            {submitting ? 'Submitting...' : 'Submit Answers'}
+                        </button>
+                        {submitError && <div className={styles.quizError}>{submitError}</div>}
+                    </>
+                ) : (
+                    <>
+                        <div className={styles.quizResultSummary}>
+                            You got {correctCount} out of {quizData.length} questions
+                            correct.
+                        </div>
+                        {grade && (
+                            <div className={grade.passed ? styles.quizPassed : styles.quizFailed}>
+                                Score: {grade.score}% &mdash; {grade.passed
+                                    ? "Passed"
+                                    : `Not passed (${grade.passThreshold}% needed)`}
+                            </div>
+                        )}
+                        {!results && (
+                            <div className={styles.quizResultSummary}>
+                                The correct answers are shown once you pass.
+                            </div>
+                        )}
+                        <button onClick={handleStart} className={styles.resetButton} disabled={starting}>
+                            {starting ? 'Starting...' : 'Take Quiz Again'}
+                        </button>
+                        {submitError && <div className={styles.quizError}>{submitError}</div>}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
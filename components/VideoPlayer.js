@@ -0,0 +1,65 @@
+import styles from './VideoPlayer.module.css';
+import FileVideo from './video/FileVideo';
+import VimeoEmbed from './video/VimeoEmbed';
+import YouTubeEmbed from './video/YouTubeEmbed';
+
+// Players that can report playback; other providers are framed as they are
+const TRACKING_EMBEDS = {
+    youtube: YouTubeEmbed,
+    vimeo: VimeoEmbed
+};
+
+// Renders a video described by getLessonVideo() in lib/video.js. Trackable
+// videos start at resumeAt and call onTimeUpdate(currentTime, duration) while
+// playing and onPause when playback stops, or onError(error) when playback
+// cannot be followed.
+export default function VideoPlayer({video, title, resumeAt = 0, onTimeUpdate, onPause, onError}) {
+    if (video.kind === 'embed') {
+        const frameTitle = title ? `${title} (${video.title} video)` : `${video.title} video`;
+        const Embed = video.trackable ? TRACKING_EMBEDS[video.provider] : null;
+        return (
+            <div className={styles.videoFrame}>
+                {Embed ? (
+                    <Embed
+                        video={video}
+                        title={frameTitle}
+                        resumeAt={resumeAt}
+                        onTimeUpdate={onTimeUpdate}
+                        onPause={onPause}
+                        onError={onError}
+                    />
+                ) : (
+                    <iframe
+                        src={video.src}
+                        title={frameTitle}
+                        sandbox={video.sandbox}
+                        allow={video.allow}
+                        allowFullScreen
+                        referrerPolicy="strict-origin-when-cross-origin"
+                    ></iframe>
+                )}
+            </div>
+        );
+    }
+
+    if (video.kind === 'file') {
+        return (
+            <div className={styles.videoFrame}>
+                <FileVideo video={video} resumeAt={resumeAt} onTimeUpdate={onTimeUpdate} onPause={onPause}/>
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.videoFallback}>
+            <p>This video can&apos;t be played here.</p>
+            {video.url ? (
+                <a href={video.url} target="_blank" rel="noopener noreferrer">
+                    Watch it on the original site
+                </a>
+            ) : (
+                <p>The video link for this lesson is not valid. Please let your instructor know.</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,52 @@
+import styles from '../Quiz.module.css';
+
+// Single choice (radio) and multiple choice (checkbox) questions
+export default function ChoiceQuestion({question, value, onChange, disabled, result}) {
+    const multiple = question.type === 'multiple';
+    const selected = multiple ? (value || []) : [value];
+    const correctChoices = result ? [].concat(result.correctAnswer ?? []) : [];
+
+    const handleChange = (choice) => {
+        if (!multiple) {
+            onChange(choice);
+        } else {
+            onChange(selected.includes(choice)
+                ? selected.filter(item => item !== choice)
+                : [...selected, choice]);
+        }
+    };
+
+    const labelClass = (choice) => {
+        if (!result || !selected.includes(choice)) return styles.choiceLabel;
+        const correct = multiple ? correctChoices.includes(choice) : result.correct;
+        return `${styles.choiceLabel} ${correct ? styles.correctAnswer : styles.incorrectAnswer}`;
+    };
+
+    return (
+        <div className={styles.choicesContainer}>
+            {multiple && <p>Select all that apply.</p>}
+            {question.choices.map(choice => (
+                <div key={choice.choice} className={styles.choiceItem}>
+                    <label className={labelClass(choice.choice)}>
+                        <input
+                            type={multiple ? 'checkbox' : 'radio'}
+                            name={question.question_key}
+                            value={choice.choice}
+                            onChange={() => handleChange(choice.choice)}
+                            checked={selected.includes(choice.choice)}
+                            disabled={disabled}
+                        />
+                        {choice.text}
+                    </label>
+                    {result && !result.correct &&
+                        correctChoices.includes(choice.choice) &&
+                        !selected.includes(choice.choice) && (
+                            <div className={styles.correctAnswerIndicator}>
+                                ← Correct Answer
+                            </div>
+                        )}
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,71 @@
+import {useState} from 'react';
+import styles from '../Quiz.module.css';
+
+const move = (items, from, to) => {
+    const next = [...items];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    return next;
+};
+
+// Drag items into order; the arrow buttons do the same for keyboard users.
+// `value` is the list of choice ids in the learner's order.
+export default function OrderingQuestion({question, value, onChange, disabled, result}) {
+    const [dragIndex, setDragIndex] = useState(null);
+    const order = value || question.choices.map(choice => choice.choice);
+    const textFor = (id) => question.choices.find(choice => choice.choice === id)?.text;
+
+    const handleDrop = (index) => {
+        if (dragIndex !== null && dragIndex !== index) {
+            onChange(move(order, dragIndex, index));
+        }
+        setDragIndex(null);
+    };
+
+    return (
+        <div className={styles.choicesContainer}>
+            <p>Drag the items into the correct order.</p>
+            <ol className={styles.orderingList}>
+                {order.map((id, index) => (
+                    <li
+                        key={id}
+                        className={`${styles.orderingItem} ${dragIndex === index ? styles.dragging : ''} ${
+                            result ? result.correct ? styles.correctAnswer : styles.incorrectAnswer : ''
+                        }`}
+                        draggable={!disabled}
+                        onDragStart={() => setDragIndex(index)}
+                        onDragOver={event => event.preventDefault()}
+                        onDrop={() => handleDrop(index)}
+                        onDragEnd={() => setDragIndex(null)}
+                    >
+                        <span className={styles.orderingPosition}>{index + 1}.</span>
+                        <span className={styles.orderingText}>{textFor(id)}</span>
+                        <button
+                            type="button"
+                            className={styles.orderingButton}
+                            aria-label="Move up"
+                            onClick={() => onChange(move(order, index, index - 1))}
+                            disabled={disabled || index === 0}
+                        >
+                            ↑
+                        </button>
+                        <button
+                            type="button"
+                            className={styles.orderingButton}
+                            aria-label="Move down"
+                            onClick={() => onChange(move(order, index, index + 1))}
+                            disabled={disabled || index === order.length - 1}
+                        >
+                            ↓
+                        </button>
+                    </li>
+                ))}
+            </ol>
+            {result && !result.correct && (
+                <div className={styles.correctAnswerIndicator}>
+                    Correct order: {result.correctAnswer.map(textFor).join(' → ')}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,28 @@
+import styles from '../Quiz.module.css';
+
+// Kept in step with MAX_SHORT_ANSWER_LENGTH in lib/quiz.js
+const MAX_LENGTH = 500;
+
+export default function ShortAnswerQuestion({question, value, onChange, disabled, result}) {
+    return (
+        <div className={styles.choicesContainer}>
+            <input
+                type="text"
+                name={question.question_key}
+                className={`${styles.textAnswer} ${
+                    result ? result.correct ? styles.correctAnswer : styles.incorrectAnswer : ''
+                }`}
+                value={value || ''}
+                maxLength={MAX_LENGTH}
+                placeholder="Type your answer"
+                onChange={event => onChange(event.target.value)}
+                disabled={disabled}
+            />
+            {result && !result.correct && result.correctAnswer && (
+                <div className={styles.correctAnswerIndicator}>
+                    Accepted answer: {result.correctAnswer}
+                </div>
+            )}
+        </div>
+    );
+}
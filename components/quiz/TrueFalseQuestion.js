@@ -0,0 +1,37 @@
+import styles from '../Quiz.module.css';
+
+const OPTIONS = [
+    {value: true, text: 'True'},
+    {value: false, text: 'False'}
+];
+
+export default function TrueFalseQuestion({question, value, onChange, disabled, result}) {
+    return (
+        <div className={styles.choicesContainer}>
+            {OPTIONS.map(option => (
+                <div key={option.text} className={styles.choiceItem}>
+                    <label className={`${styles.choiceLabel} ${
+                        result && value === option.value
+                            ? result.correct ? styles.correctAnswer : styles.incorrectAnswer
+                            : ''
+                    }`}>
+                        <input
+                            type="radio"
+                            name={question.question_key}
+                            value={String(option.value)}
+                            onChange={() => onChange(option.value)}
+                            checked={value === option.value}
+                            disabled={disabled}
+                        />
+                        {option.text}
+                    </label>
+                    {result && !result.correct && result.correctAnswer === option.value && value !== option.value && (
+                        <div className={styles.correctAnswerIndicator}>
+                            ← Correct Answer
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,42 @@
+import {useRef} from 'react';
+
+// The browser's own player, for uploaded videos and direct video links
+export default function FileVideo({video, resumeAt, onTimeUpdate, onPause}) {
+    const videoRef = useRef(null);
+    // A media fragment starts playback where the learner left off
+    const src = resumeAt ? `${video.src}#t=${resumeAt}` : video.src;
+
+    const handleTimeUpdate = () => {
+        const element = videoRef.current;
+        if (onTimeUpdate && !element.paused && !element.seeking) {
+            onTimeUpdate(element.currentTime, element.duration);
+        }
+    };
+
+    return (
+        // Set only for Directus videos with captions (see lib/video.js): CORS
+        // would stop a video from any host that does not send its headers
+        <video
+            ref={videoRef}
+            controls
+            preload="metadata"
+            crossOrigin={video.crossOrigin || undefined}
+            onTimeUpdate={handleTimeUpdate}
+            onPause={onPause}
+            onEnded={onPause}
+        >
+            <source src={src} type={video.mimeType || undefined}/>
+            {video.captions.map(caption => (
+                <track
+                    key={caption.src}
+                    kind="captions"
+                    src={caption.src}
+                    srcLang={caption.srclang}
+                    label={caption.label}
+                    default={caption.default}
+                />
+            ))}
+            <a href={video.src}>Download the video</a>
+        </video>
+    );
+}
@@ -0,0 +1,58 @@
+import {useEffect, useRef} from 'react';
+
+const VIMEO_ORIGIN = 'https://player.vimeo.com';
+
+// Vimeo's player reports playback over its postMessage API
+// (https://github.com/vimeo/player.js#using-the-postmessage-api)
+export default function VimeoEmbed({video, title, resumeAt, onTimeUpdate, onPause}) {
+    const iframeRef = useRef(null);
+    const callbacksRef = useRef({onTimeUpdate, onPause});
+    callbacksRef.current = {onTimeUpdate, onPause};
+    const tracking = Boolean(onTimeUpdate);
+
+    const src = resumeAt ? `${video.src.split('#')[0]}#t=${resumeAt}s` : video.src;
+
+    useEffect(() => {
+        if (!tracking) return undefined;
+        const iframe = iframeRef.current;
+        const post = (method, value) => iframe.contentWindow?.postMessage(
+            JSON.stringify(value === undefined ? {method} : {method, value}),
+            VIMEO_ORIGIN
+        );
+
+        const handleMessage = (event) => {
+            if (event.origin !== VIMEO_ORIGIN || event.source !== iframe.contentWindow) return;
+            let message;
+            try {
+                message = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
+            } catch {
+                return;
+            }
+            if (message.event === 'ready') {
+                ['timeupdate', 'pause', 'ended'].forEach(name => post('addEventListener', name));
+            } else if (message.event === 'timeupdate') {
+                callbacksRef.current.onTimeUpdate(message.data.seconds, message.data.duration);
+            } else if (message.event === 'pause' || message.event === 'ended') {
+                callbacksRef.current.onPause?.();
+            }
+        };
+
+        window.addEventListener('message', handleMessage);
+        // The player may have loaded before this listener; a ping makes it
+        // announce itself again
+        post('ping');
+        return () => window.removeEventListener('message', handleMessage);
+    }, [tracking]);
+
+    return (
+        <iframe
+            ref={iframeRef}
+            src={src}
+            title={title}
+            sandbox={video.sandbox}
+            allow={video.allow}
+            allowFullScreen
+            referrerPolicy="strict-origin-when-cross-origin"
+        ></iframe>
+    );
+}
@@ -0,0 +1,100 @@
+import {useEffect, useRef} from 'react';
+
+const POLL_INTERVAL_MS = 1000;
+
+let apiPromise = null;
+
+// Loads the YouTube IFrame API once per page
+function loadYouTubeApi() {
+    if (window.YT?.Player) return Promise.resolve(window.YT);
+    if (!apiPromise) {
+        apiPromise = new Promise((resolve, reject) => {
+            const previousReady = window.onYouTubeIframeAPIReady;
+            window.onYouTubeIframeAPIReady = () => {
+                previousReady?.();
+                resolve(window.YT);
+            };
+            const script = document.createElement('script');
+            script.src = 'https://www.youtube.com/iframe_api';
+            script.async = true;
+            script.onerror = () => {
+                apiPromise = null;
+                reject(new Error('Failed to load the YouTube player API'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return apiPromise;
+}
+
+function withParams(src, params) {
+    const url = new URL(src);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, String(value)));
+    return url.toString();
+}
+
+// The IFrame API has no time update event, so the position is polled while
+// the video plays. onError(error) is called when the API cannot be loaded; the
+// video still plays, but its playback is not reported.
+export default function YouTubeEmbed({video, title, resumeAt, onTimeUpdate, onPause, onError}) {
+    const iframeRef = useRef(null);
+    const callbacksRef = useRef({onTimeUpdate, onPause, onError});
+    callbacksRef.current = {onTimeUpdate, onPause, onError};
+    const tracking = Boolean(onTimeUpdate);
+
+    const src = withParams(video.src, {
+        ...(tracking ? {enablejsapi: 1} : {}),
+        ...(resumeAt ? {start: resumeAt} : {})
+    });
+
+    useEffect(() => {
+        if (!tracking) return undefined;
+        let timer = null;
+        let cancelled = false;
+        let player = null;
+        const stopPolling = () => {
+            clearInterval(timer);
+            timer = null;
+        };
+
+        loadYouTubeApi()
+            .then(YT => {
+                if (cancelled) return;
+                // Attaches to the existing iframe rather than creating one
+                player = new YT.Player(iframeRef.current, {
+                    events: {
+                        onStateChange: event => {
+                            stopPolling();
+                            if (event.data === YT.PlayerState.PLAYING) {
+                                timer = setInterval(() => {
+                                    callbacksRef.current.onTimeUpdate(player.getCurrentTime(), player.getDuration());
+                                }, POLL_INTERVAL_MS);
+                            } else if (event.data === YT.PlayerState.PAUSED || event.data === YT.PlayerState.ENDED) {
+                                callbacksRef.current.onPause?.();
+                            }
+                        }
+                    }
+                });
+            })
+            .catch(error => callbacksRef.current.onError?.(error));
+
+        return () => {
+            cancelled = true;
+            stopPolling();
+            // Stops the API talking to a player that is going away
+            player?.destroy();
+        };
+    }, [tracking]);
+
+    return (
+        <iframe
+            ref={iframeRef}
+            src={src}
+            title={title}
+            sandbox={video.sandbox}
+            allow={video.allow}
+            allowFullScreen
+            referrerPolicy="strict-origin-when-cross-origin"
+        ></iframe>
+    );
+}
@@ -0,0 +1,118 @@
+import {useCallback, useEffect, useRef, useState} from 'react';
+import {addSegment, getPercentWatched, mergeSegments} from '@lib/segments';
+
+const SAVE_INTERVAL_MS = 15000;
+
+// Time updates arrive about once a second; a bigger step forward is a seek,
+// which does not count as watching
+const MAX_PLAYBACK_STEP_SECONDS = 2.5;
+
+// Resuming this close to the end would only show the credits
+const RESUME_END_MARGIN_SECONDS = 5;
+
+// Follows playback reported by VideoPlayer, keeps the watched segments and
+// saves them for the enrollment every few seconds and when the page is hidden.
+// error is a message for the learner while progress is not being saved.
+export default function useWatchProgress({enrollmentId, lessonId, initialProgress}) {
+    const stateRef = useRef(null);
+    if (!stateRef.current) {
+        stateRef.current = {
+            segments: initialProgress?.segments || [],
+            position: initialProgress?.position || 0,
+            duration: initialProgress?.duration || 0,
+            lastTime: null,
+            dirty: false
+        };
+    }
+    const [percentWatched, setPercentWatched] = useState(initialProgress?.percent_watched || 0);
+    const [error, setError] = useState(null);
+
+    const {position: savedPosition, duration: savedDuration} = initialProgress || {};
+    const resumeAt = savedPosition && !(savedDuration && savedPosition >= savedDuration - RESUME_END_MARGIN_SECONDS)
+        ? Math.floor(savedPosition)
+        : 0;
+
+    const save = useCallback((keepalive = false) => {
+        const state = stateRef.current;
+        if (!enrollmentId || !state.dirty || !state.duration) return;
+        state.dirty = false;
+        // keepalive lets the request finish after the page is gone
+        fetch(`/api/enrollments/${encodeURIComponent(enrollmentId)}/video-progress`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify({
+                lessonId,
+                segments: state.segments,
+                position: state.position
+            }),
+            keepalive
+        })
+            .then(response => {
+                if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+                setError(null);
+            })
+            .catch(() => {
+                // Try again with the next save
+                state.dirty = true;
+                setError('Your progress on this video could not be saved. We will keep trying.');
+            });
+    }, [enrollmentId, lessonId]);
+
+    const handleTimeUpdate = useCallback((currentTime, duration) => {
+        const state = stateRef.current;
+        if (duration > 0) state.duration = duration;
+        if (state.lastTime !== null) {
+            const step = currentTime - state.lastTime;
+            if (step > 0 && step <= MAX_PLAYBACK_STEP_SECONDS) {
+                state.segments = addSegment(state.segments, state.lastTime, currentTime);
+                setPercentWatched(getPercentWatched(state.segments, state.duration));
+            }
+        }
+        state.lastTime = currentTime;
+        state.position = currentTime;
+        state.dirty = true;
+    }, []);
+
+    const handlePause = useCallback(() => {
+        stateRef.current.lastTime = null;
+        save();
+    }, [save]);
+
+    const handlePlayerError = useCallback(() => {
+        setError('Your progress on this video cannot be tracked. Reload the page to try again.');
+    }, []);
+
+    // Lesson pages load saved progress after the first render; fold it in
+    // once it arrives
+    useEffect(() => {
+        if (!initialProgress) return;
+        const state = stateRef.current;
+        state.segments = mergeSegments([...state.segments, ...(initialProgress.segments || [])]);
+        if (!state.duration) state.duration = initialProgress.duration || 0;
+        setPercentWatched(percent => Math.max(
+            percent,
+            initialProgress.percent_watched || 0,
+            getPercentWatched(state.segments, state.duration)
+        ));
+    }, [initialProgress]);
+
+    useEffect(() => {
+        if (!enrollmentId) return undefined;
+        const timer = setInterval(() => save(), SAVE_INTERVAL_MS);
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') save(true);
+        };
+        const handlePageHide = () => save(true);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('pagehide', handlePageHide);
+        return () => {
+            clearInterval(timer);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            window.removeEventListener('pagehide', handlePageHide);
+            // Leaving for another page of the app
+            save(true);
+        };
+    }, [enrollmentId, save]);
+
+    return {percentWatched, resumeAt, error, handleTimeUpdate, handlePause, handlePlayerError};
+}
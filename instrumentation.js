@@ -0,0 +1,8 @@
+// Runs once when a Next.js server instance boots. Validating here makes a
+// misconfigured deploy fail at startup instead of on the first page view.
+export async function register() {
+    if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+    const {getConfig} = await import('./lib/config');
+    getConfig();
+}
@@ -0,0 +1,146 @@
+// Quiz attempts, one lms_quiz_attempts row per attempt. The row is created when
+// the learner starts the quiz ({enrollment, lesson, seed, started_at,
+// expires_at}) and completed on submission ({answers, score, correct_count,
+// total_questions, passed, submitted_at}).
+
+import {randomBytes} from 'crypto';
+import {canAccessEnrollment, ENROLLMENT_OWNER_FIELDS, isStaff} from './auth.js';
+import {isLessonInCourse} from './courses.js';
+import {createItem, getEnrollment, getItem, getLesson, isNotFoundError, listItems, updateItem} from './directus.js';
+import {logger} from './logger.js';
+import {hasQuiz} from './quiz.js';
+import {checkLessonRestriction, RESTRICTION_ENROLLMENT_FIELDS} from './restrictions.js';
+
+const COLLECTION = 'lms_quiz_attempts';
+
+// Allowance after expires_at for an auto-submitted answer sheet to arrive
+export const SUBMIT_GRACE_SECONDS = 30;
+
+export const ATTEMPT_FIELDS = [
+    'id',
+    'score',
+    'correct_count',
+    'total_questions',
+    'passed',
+    'started_at',
+    'expires_at',
+    'submitted_at'
+];
+
+const QUIZ_LESSON_FIELDS = [
+    'id',
+    'quiz',
+    'quiz_pass_threshold',
+    'quiz_question_count',
+    'quiz_shuffle',
+    'quiz_time_limit',
+    'module.course'
+];
+
+export function createSeed() {
+    return randomBytes(8).toString('hex');
+}
+
+// Loads a quiz lesson and, when given, the enrollment taking it, checking that
+// `user` owns the enrollment and that the lesson is open to them. Only staff
+// may take a quiz without one. Returns
+// {status, error} instead of throwing so API routes can pass it straight on.
+export async function loadQuizContext(lessonId, enrollmentId, user) {
+    if (!user) {
+        return {status: 401, error: 'Please sign in first'};
+    }
+    if (!enrollmentId && !isStaff(user)) {
+        return {status: 403, error: 'An enrollment is required to take this quiz'};
+    }
+
+    let lesson;
+    let enrollment = null;
+    try {
+        [lesson, enrollment] = await Promise.all([
+            getLesson(lessonId, {fields: QUIZ_LESSON_FIELDS}),
+            enrollmentId
+                ? getEnrollment(enrollmentId, {fields: [...ENROLLMENT_OWNER_FIELDS, ...RESTRICTION_ENROLLMENT_FIELDS]})
+                : null
+        ]);
+    } catch (error) {
+        logger.error('Error fetching lesson quiz', {error});
+        return isNotFoundError(error)
+            ? {status: 404, error: 'Lesson or enrollment not found'}
+            : {status: 500, error: 'Failed to load quiz'};
+    }
+
+    if (enrollment && !canAccessEnrollment(user, enrollment)) {
+        return {status: 403, error: 'You do not have access to this enrollment'};
+    }
+    if (!hasQuiz(lesson)) {
+        return {status: 404, error: 'This lesson has no quiz'};
+    }
+    if (enrollment && !isLessonInCourse(lesson, enrollment)) {
+        return {status: 404, error: 'This lesson is not part of the enrolled course'};
+    }
+    // Staff reviewing an enrollment are not held to its schedule or prerequisites
+    if (enrollment && !isStaff(user)) {
+        try {
+            const restriction = await checkLessonRestriction(enrollment, lesson.id);
+            if (restriction) {
+                return {status: 403, error: restriction.message};
+            }
+        } catch (error) {
+            logger.error('Error checking lesson restrictions', {error});
+            return {status: 500, error: 'Failed to load quiz'};
+        }
+    }
+    return {status: 200, lesson, enrollment};
+}
+
+export function startAttempt({enrollmentId, lessonId, seed, timeLimitSeconds}) {
+    const startedAt = new Date();
+    return createItem(COLLECTION, {
+        enrollment: enrollmentId,
+        lesson: lessonId,
+        seed,
+        started_at: startedAt.toISOString(),
+        expires_at: timeLimitSeconds ? new Date(startedAt.getTime() + timeLimitSeconds * 1000).toISOString() : null
+    }, {query: {fields: ['id', 'seed', 'started_at', 'expires_at']}});
+}
+
+export function getAttempt(attemptId) {
+    return getItem(COLLECTION, attemptId, {
+        fields: ['id', 'enrollment', 'lesson', 'seed', 'started_at', 'expires_at', 'submitted_at']
+    });
+}
+
+export function isAttemptExpired(attempt, now = Date.now()) {
+    return Boolean(attempt.expires_at)
+        && now > new Date(attempt.expires_at).getTime() + SUBMIT_GRACE_SECONDS * 1000;
+}
+
+export function submitAttempt(attemptId, {answers, graded, passed}) {
+    return updateItem(COLLECTION, attemptId, {
+        answers,
+        score: graded.score,
+        correct_count: graded.correctCount,
+        total_questions: graded.totalQuestions,
+        passed,
+        submitted_at: new Date().toISOString()
+    }, {query: {fields: ATTEMPT_FIELDS}});
+}
+
+// Submitted attempts, newest first
+export function listAttempts(enrollmentId, lessonId) {
+    return listItems(COLLECTION, {
+        fields: ATTEMPT_FIELDS,
+        filter: {enrollment: {_eq: enrollmentId}, lesson: {_eq: lessonId}, submitted_at: {_nnull: true}},
+        sort: ['-submitted_at'],
+        limit: -1
+    });
+}
+
+export async function hasPassingAttempt(enrollmentId, lessonId) {
+    const attempts = await listItems(COLLECTION, {
+        fields: ['id'],
+        filter: {enrollment: {_eq: enrollmentId}, lesson: {_eq: lessonId}, passed: {_eq: true}},
+        limit: 1
+    });
+    return attempts.length > 0;
+}
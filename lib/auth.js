@@ -0,0 +1,118 @@
+// Learner authentication against Directus and access rules for enrollments.
+// Directus issues the access/refresh token pair; lib/session.js keeps it in
+// an encrypted httpOnly cookie.
+
+import {getEnrollment, isNotFoundError, request} from './directus.js';
+import {logger} from './logger.js';
+
+// Directus role names (case-insensitive) that may see every enrollment
+export const STAFF_ROLES = ['administrator', 'instructor'];
+
+const USER_FIELDS = ['id', 'first_name', 'last_name', 'email', 'role.name'];
+
+// Enrollment fields canAccessEnrollment needs
+export const ENROLLMENT_OWNER_FIELDS = ['id', 'user_enrolled.id'];
+
+export class AuthError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+// Directus returns {access_token, refresh_token, expires} where expires is the
+// access token lifetime in milliseconds
+function toTokens({access_token, refresh_token, expires}) {
+    return {
+        accessToken: access_token,
+        refreshToken: refresh_token,
+        expiresAt: Date.now() + expires
+    };
+}
+
+export async function getCurrentUser(accessToken) {
+    const {data} = await request('/users/me', {query: {fields: USER_FIELDS}, token: accessToken});
+    return {
+        id: data.id,
+        first_name: data.first_name,
+        last_name: data.last_name,
+        email: data.email,
+        role: data.role?.name || null
+    };
+}
+
+export async function login(email, password) {
+    const {data} = await request('/auth/login', {
+        method: 'POST',
+        body: {email, password, mode: 'json'},
+        token: null
+    });
+    const tokens = toTokens(data);
+    return {tokens, user: await getCurrentUser(tokens.accessToken)};
+}
+
+// Directus rotates the refresh token, so the returned pair replaces the old one
+export async function refresh(refreshToken) {
+    const {data} = await request('/auth/refresh', {
+        method: 'POST',
+        body: {refresh_token: refreshToken, mode: 'json'},
+        token: null
+    });
+    const tokens = toTokens(data);
+    return {tokens, user: await getCurrentUser(tokens.accessToken)};
+}
+
+export async function logout(refreshToken) {
+    await request('/auth/logout', {
+        method: 'POST',
+        body: {refresh_token: refreshToken, mode: 'json'},
+        token: null
+    });
+}
+
+export function isStaff(user) {
+    return Boolean(user?.role) && STAFF_ROLES.includes(user.role.toLowerCase());
+}
+
+export function canAccessEnrollment(user, enrollment) {
+    if (!user) return false;
+    if (isStaff(user)) return true;
+    const ownerId = enrollment.user_enrolled?.id ?? enrollment.user_enrolled;
+    return ownerId != null && String(ownerId) === String(user.id);
+}
+
+// Throws AuthError(401/403) unless the user may see the enrollment
+export function assertEnrollmentAccess(user, enrollment) {
+    if (!user) {
+        throw new AuthError(401, 'Please sign in to view this enrollment');
+    }
+    if (!canAccessEnrollment(user, enrollment)) {
+        throw new AuthError(403, 'You do not have access to this enrollment');
+    }
+}
+
+// Fetches just enough of an enrollment to check access, plus any extra fields.
+// Returns {status, error} instead of throwing so API routes can pass it
+// straight on.
+export async function loadEnrollmentAccess(user, enrollmentId, fields = []) {
+    if (!user) {
+        return {status: 401, error: 'Please sign in first'};
+    }
+
+    let enrollment;
+    try {
+        enrollment = await getEnrollment(enrollmentId, {fields: [...ENROLLMENT_OWNER_FIELDS, ...fields]});
+    } catch (error) {
+        if (isNotFoundError(error)) {
+            return {status: 404, error: 'Enrollment not found'};
+        }
+        logger.error('Error fetching enrollment', {error});
+        return {status: 500, error: 'Failed to load enrollment'};
+    }
+
+    if (!canAccessEnrollment(user, enrollment)) {
+        return {status: 403, error: 'You do not have access to this enrollment'};
+    }
+    return {status: 200, enrollment};
+}
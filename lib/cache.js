@@ -0,0 +1,99 @@
+// In-process stale-while-revalidate cache. Next.js bundles pages and API routes
+// separately, each with its own copy of this module, so caches live on
+// globalThis: the revalidate webhook has to purge the entries the pages read.
+
+import {logger} from './logger.js';
+
+const REGISTRY = Symbol.for('lms.caches');
+
+// Returns the cache registered under name, creating it on first use.
+//   ttl         seconds an entry is served without calling load again
+//   staleTtl    further seconds a stale entry is served while it is refreshed
+//   maxEntries  least recently used entries are dropped beyond this
+export function getCache(name, {ttl, staleTtl = 0, maxEntries = 500}) {
+    const caches = globalThis[REGISTRY] || (globalThis[REGISTRY] = new Map());
+    if (!caches.has(name)) {
+        caches.set(name, createCache(name, {ttl, staleTtl, maxEntries}));
+    }
+    return caches.get(name);
+}
+
+function createCache(name, {ttl, staleTtl, maxEntries}) {
+    const entries = new Map();
+    const pending = new Map();
+    // Bumped by every purge so a load that started before it is not stored
+    let generation = 0;
+
+    function store(key, value) {
+        entries.delete(key);
+        entries.set(key, {value, storedAt: Date.now()});
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    // One load per key at a time; concurrent callers share it unless a purge
+    // came in since it started
+    function load(key, loader) {
+        const current = pending.get(key);
+        if (current && current.generation === generation) return current.promise;
+        const run = {generation};
+        run.promise = Promise.resolve()
+            .then(loader)
+            .then(value => {
+                if (run.generation === generation) store(key, value);
+                return value;
+            })
+            .finally(() => {
+                if (pending.get(key) === run) pending.delete(key);
+            });
+        pending.set(key, run);
+        return run.promise;
+    }
+
+    return {
+        name,
+
+        // Serves key from the cache or through loader(). A stale entry is
+        // returned at once and refreshed in the background; if that refresh
+        // fails the stale copy stays until it expires.
+        async get(key, loader) {
+            if (ttl <= 0) return loader();
+
+            const entry = entries.get(key);
+            const age = entry ? (Date.now() - entry.storedAt) / 1000 : Infinity;
+            if (age < ttl) {
+                entries.delete(key);
+                entries.set(key, entry);
+                return entry.value;
+            }
+            if (age < ttl + staleTtl) {
+                load(key, loader).catch(error => {
+                    logger.warn('Failed to refresh cache entry', {cache: name, key, error});
+                });
+                return entry.value;
+            }
+            return load(key, loader);
+        },
+
+        // Drops every entry whose key matches; returns how many were dropped
+        purge(matches) {
+            generation++;
+            let count = 0;
+            for (const [key, entry] of entries) {
+                if (matches(key, entry.value)) {
+                    entries.delete(key);
+                    count++;
+                }
+            }
+            return count;
+        },
+
+        clear() {
+            generation++;
+            const count = entries.size;
+            entries.clear();
+            return count;
+        }
+    };
+}
@@ -0,0 +1,99 @@
+// Cached reads of course structures and lessons, which only change when
+// editors publish. Directus flows purge them through pages/api/revalidate.
+// Cached objects are shared between requests, so callers must not modify them.
+
+import {createHash} from 'node:crypto';
+import {getCache} from './cache.js';
+import {getConfig} from './config.js';
+import {prepareLessonContent} from './content.js';
+import {getCourse, getLesson, listItems} from './directus.js';
+
+function contentCache(name) {
+    const {contentCacheSeconds, contentCacheStaleSeconds} = getConfig();
+    return getCache(name, {ttl: contentCacheSeconds, staleTtl: contentCacheStaleSeconds});
+}
+
+// Keys start with the item id so every query for one item is purged together
+const cacheKey = (id, query) => `${id}:${JSON.stringify(query || {})}`;
+const keyId = key => key.slice(0, key.indexOf(':'));
+
+export function getCachedCourse(id, query) {
+    return contentCache('courses').get(cacheKey(id, query), () => getCourse(id, query));
+}
+
+export function getCachedLesson(id, query) {
+    return contentCache('lessons').get(cacheKey(id, query), () => getLesson(id, query));
+}
+
+// A lesson's HTML as prepareLessonContent returns it. Keyed by the HTML too, so
+// a copy read before an edit is never served for the edited lesson.
+export function getCachedLessonContent(id, html) {
+    if (!html) return Promise.resolve(null);
+    const hash = createHash('sha256').update(html).digest('hex');
+    return contentCache('lesson-content').get(`${id}:${hash}`, () => prepareLessonContent(html));
+}
+
+// Drops the given courses and lessons, and the courses and lessons that list
+// one of the given modules or lesson resources. Courses that list a purged
+// lesson go too, since they carry its title and position. Returns how many
+// cache entries were dropped.
+export function purgeContent({courses = [], lessons = [], modules = [], resources = []}) {
+    const courseIds = new Set(courses.map(String));
+    const lessonIds = new Set(lessons.map(String));
+    const moduleIds = new Set(modules.map(String));
+    const resourceIds = new Set(resources.map(String));
+    const listsContent = course => (course.modules || []).some(module => moduleIds.has(String(module.id))
+        || (module.lessons || []).some(lesson => lessonIds.has(String(lesson.id))));
+    const listsResource = lesson => (lesson.resources || []).some(resource => resourceIds.has(String(resource.id)));
+
+    return {
+        courses: contentCache('courses').purge((key, course) => courseIds.has(keyId(key)) || listsContent(course)),
+        lessons: contentCache('lessons').purge((key, lesson) => lessonIds.has(keyId(key)) || listsResource(lesson)),
+        lessonContent: contentCache('lesson-content').purge(key => lessonIds.has(keyId(key)))
+    };
+}
+
+const parentIds = (rows, field) => rows
+    .map(row => row[field]?.id ?? row[field])
+    .filter(id => id !== null && id !== undefined)
+    .map(String);
+
+// Adds the courses of the given modules and the lessons of the given lesson
+// resources to a purgeContent target, read straight from Directus so modules
+// and resources that are new to a course or lesson are found. Deleted ones
+// are not; purgeContent drops the cached copies that still list them.
+export async function addContentParents({courses = [], lessons = [], modules = [], resources = []}) {
+    const [moduleRows, resourceRows] = await Promise.all([
+        modules.length > 0
+            ? listItems('lms_modules', {fields: ['course'], filter: {id: {_in: modules}}, limit: modules.length})
+            : [],
+        resources.length > 0
+            ? listItems('lms_lesson_resources', {fields: ['lesson'], filter: {id: {_in: resources}}, limit: resources.length})
+            : []
+    ]);
+    return {
+        courses: [...new Set([...courses.map(String), ...parentIds(moduleRows, 'course')])],
+        lessons: [...new Set([...lessons.map(String), ...parentIds(resourceRows, 'lesson')])],
+        modules,
+        resources
+    };
+}
+
+// The given lessons and every lesson of the given courses and of the courses
+// those lessons belong to. A lesson page carries the lesson only while no
+// learner can be kept out of it, which depends on the rest of its course, so
+// pages of one course are regenerated together. Deleted lessons are kept so
+// their pages turn into 404s.
+export async function listCourseLessonIds({courses = [], lessons = []}) {
+    const lessonRows = lessons.length > 0
+        ? await listItems('lms_lessons', {fields: ['module.course'], filter: {id: {_in: lessons}}, limit: lessons.length})
+        : [];
+    const courseIds = [...new Set([
+        ...courses.map(String),
+        ...lessonRows.map(row => row.module?.course).filter(id => id !== null && id !== undefined).map(String)
+    ])];
+    const courseLessons = courseIds.length > 0
+        ? await listItems('lms_lessons', {fields: ['id'], filter: {module: {course: {_in: courseIds}}}, limit: -1})
+        : [];
+    return [...new Set([...lessons.map(String), ...courseLessons.map(lesson => String(lesson.id))])];
+}
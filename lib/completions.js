@@ -0,0 +1,107 @@
+// Lesson completion for an enrollment. Returns an HTTP status code rather than
+// throwing so API routes can hand it straight back to the browser.
+
+import {hasPassingAttempt} from './attempts.js';
+import {isStaff} from './auth.js';
+import {getCachedCourse} from './catalog.js';
+import {getConfig} from './config.js';
+import {isLessonInCourse} from './courses.js';
+import {getEnrollment, getLesson, hasErrorCode, isNotFoundError, updateEnrollment} from './directus.js';
+import {logger} from './logger.js';
+import {getCompletedLessonIds, storeProgress} from './progress.js';
+import {hasQuiz} from './quiz.js';
+import {getLessonRestrictions, RESTRICTION_COURSE_FIELDS} from './restrictions.js';
+import {getLessonVideo, getMinimumWatchPercent, isWatchRequired, LESSON_VIDEO_FIELDS, VIDEO_FILE_FIELDS} from './video.js';
+import {getWatchProgress} from './watch.js';
+
+// user is who asked, after loadEnrollmentAccess has let them at the enrollment
+export async function addLesson(enrollmentId, lessonId, user) {
+    try {
+        let enrollment;
+        let lesson;
+        try {
+            // Read the current state rather than a page snapshot; every
+            // completion is needed to tell whether the lesson is unlocked
+            [enrollment, lesson] = await Promise.all([
+                getEnrollment(enrollmentId, {
+                    fields: ['id', 'date_created', 'percent_complete', 'is_completed', 'course.id', 'lessons_completed.lms_lessons_id']
+                }),
+                getLesson(lessonId, {fields: ['id', 'quiz', 'module.course', ...LESSON_VIDEO_FIELDS, ...VIDEO_FILE_FIELDS]})
+            ]);
+        } catch (error) {
+            if (isNotFoundError(error)) {
+                return 404;
+            }
+            throw error;
+        }
+
+        // Only lessons from the enrolled course can be completed
+        if (!isLessonInCourse(lesson, enrollment)) {
+            return 404;
+        }
+
+        // Check if lesson is already completed
+        const completedLessonIds = getCompletedLessonIds(enrollment).map(String);
+        if (completedLessonIds.includes(String(lesson.id))) {
+            // Lesson already marked as completed - return 200 with no body
+            return 200;
+        }
+
+        // Lessons cannot be completed before they are released or ahead of
+        // their prerequisites. Staff reviewing an enrollment are not held to
+        // its schedule or prerequisites.
+        const course = await getCachedCourse(enrollment.course.id, {fields: RESTRICTION_COURSE_FIELDS});
+        if (!isStaff(user) && getLessonRestrictions(course, enrollment, completedLessonIds).has(String(lesson.id))) {
+            return 403;
+        }
+
+        // Quiz lessons need a passing attempt first
+        if (hasQuiz(lesson) && !(await hasPassingAttempt(enrollment.id, lesson.id))) {
+            return 409;
+        }
+
+        // So do lessons that require watching part of their video
+        if (isWatchRequired(lesson, getLessonVideo(lesson, getConfig().directusUrl))) {
+            const progress = await getWatchProgress(enrollment.id, lesson.id);
+            if ((progress?.percent_watched || 0) < getMinimumWatchPercent(lesson)) {
+                return 409;
+            }
+        }
+
+        // Append a single junction row; existing completions are left untouched.
+        // The unique index on the junction (see README) turns away a second
+        // row for the lesson, so a concurrent request that got there first
+        // means it is already completed. Still not retried: without the index a
+        // retry after a lost response would add a duplicate.
+        try {
+            await updateEnrollment(enrollment.id, {
+                lessons_completed: {
+                    create: [{lms_lessons_id: lesson.id}],
+                    update: [],
+                    delete: []
+                }
+            }, {retries: 0});
+        } catch (error) {
+            if (hasErrorCode(error, 'RECORD_NOT_UNIQUE')) {
+                return 200;
+            }
+            throw error;
+        }
+
+        // Progress follows from what was read above plus this lesson, so it
+        // is not read back from Directus. The completion is already stored; a
+        // failed update (or one overtaken by a concurrent completion) is left
+        // for the next completion or scripts/backfill-progress.mjs to repair.
+        try {
+            await storeProgress(enrollment, course, [...completedLessonIds, String(lesson.id)]);
+        } catch (error) {
+            logger.error('Failed to recalculate progress', {error});
+        }
+
+        // Return 201 Created with the specified response format
+        return 201;
+    } catch (error) {
+        logger.error('Error completing lesson', {enrollmentId, lessonId, error});
+        return 500;
+    }
+}
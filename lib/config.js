@@ -0,0 +1,138 @@
+// Server-only configuration. None of these variables carry the NEXT_PUBLIC_
+// prefix, so Next.js never inlines them into client bundles. Read them through
+// getConfig() rather than process.env so a misconfigured deploy fails loudly.
+
+const DEV_PUBLIC_URL = 'http://localhost:3000';
+
+// Secrets used to sign or encrypt data must be at least this long
+const MIN_SECRET_LENGTH = 32;
+
+// How long course structures and lessons are served from the cache without
+// asking Directus, and for how much longer a stale copy may be served while it
+// is refreshed in the background
+const DEFAULT_CONTENT_CACHE_SECONDS = 300;
+const DEFAULT_CONTENT_CACHE_STALE_SECONDS = 3600;
+
+// Least severe entries lib/logger.js writes; the order runs from most verbose
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const DEFAULT_LOG_LEVEL = 'info';
+
+// Variables that used to hold these values and must not be reintroduced
+const LEGACY_VARIABLES = {
+    OPTICAL_API_ENDPOINT: 'NEXT_PUBLIC_OPTICAL_API_ENDPOINT',
+    DIRECTUS_API_TOKEN: 'NEXT_PUBLIC_DIRECTUS_API_TOKEN'
+};
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid server configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.status = 500;
+        this.problems = problems;
+    }
+}
+
+function missing(name, env) {
+    const legacy = LEGACY_VARIABLES[name];
+    return legacy && env[legacy]
+        ? `${name} is not set (${legacy} is no longer read; rename it and remove the public variable)`
+        : `${name} is not set`;
+}
+
+function parseHttpUrl(name, value, problems) {
+    try {
+        const url = new URL(value);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            problems.push(`${name} must be an http(s) URL, got "${url.protocol}"`);
+            return null;
+        }
+        // Callers append paths, so never keep a trailing slash
+        return url.toString().replace(/\/+$/, '');
+    } catch {
+        problems.push(`${name} is not a valid URL: "${value}"`);
+        return null;
+    }
+}
+
+function parseSeconds(name, value, fallback, problems) {
+    if (value === undefined || value === '') return fallback;
+    if (!/^\d+$/.test(value)) {
+        problems.push(`${name} must be a whole number of seconds, got "${value}"`);
+        return null;
+    }
+    return Number(value);
+}
+
+export function loadConfig(env = process.env) {
+    const problems = [];
+
+    let directusUrl = null;
+    if (!env.OPTICAL_API_ENDPOINT) {
+        problems.push(missing('OPTICAL_API_ENDPOINT', env));
+    } else {
+        directusUrl = parseHttpUrl('OPTICAL_API_ENDPOINT', env.OPTICAL_API_ENDPOINT, problems);
+    }
+
+    const directusToken = env.DIRECTUS_API_TOKEN;
+    if (!directusToken) {
+        problems.push(missing('DIRECTUS_API_TOKEN', env));
+    } else if (/\s/.test(directusToken)) {
+        problems.push('DIRECTUS_API_TOKEN must not contain whitespace');
+    }
+
+    // Local development may rely on the default dev server address
+    const rawPublicUrl = env.PUBLIC_URL || (env.NODE_ENV !== 'production' ? DEV_PUBLIC_URL : null);
+    let publicUrl = null;
+    if (!rawPublicUrl) {
+        problems.push(missing('PUBLIC_URL', env));
+    } else {
+        publicUrl = parseHttpUrl('PUBLIC_URL', rawPublicUrl, problems);
+    }
+
+    const sessionSecret = env.SESSION_SECRET;
+    if (!sessionSecret) {
+        problems.push(missing('SESSION_SECRET', env));
+    } else if (sessionSecret.length < MIN_SECRET_LENGTH) {
+        problems.push(`SESSION_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+
+    // Optional: without it pages/api/revalidate is disabled
+    const revalidateSecret = env.REVALIDATE_SECRET || null;
+    if (revalidateSecret && revalidateSecret.length < MIN_SECRET_LENGTH) {
+        problems.push(`REVALIDATE_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+
+    const contentCacheSeconds = parseSeconds(
+        'CONTENT_CACHE_SECONDS', env.CONTENT_CACHE_SECONDS, DEFAULT_CONTENT_CACHE_SECONDS, problems);
+    const contentCacheStaleSeconds = parseSeconds(
+        'CONTENT_CACHE_STALE_SECONDS', env.CONTENT_CACHE_STALE_SECONDS, DEFAULT_CONTENT_CACHE_STALE_SECONDS, problems);
+
+    const logLevel = (env.LOG_LEVEL || DEFAULT_LOG_LEVEL).toLowerCase();
+    if (!LOG_LEVELS.includes(logLevel)) {
+        problems.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}, got "${env.LOG_LEVEL}"`);
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return Object.freeze({
+        directusUrl,
+        directusToken,
+        publicUrl,
+        sessionSecret,
+        revalidateSecret,
+        contentCacheSeconds,
+        contentCacheStaleSeconds,
+        logLevel
+    });
+}
+
+let cachedConfig = null;
+
+export function getConfig() {
+    if (!cachedConfig) {
+        cachedConfig = loadConfig();
+    }
+    return cachedConfig;
+}
@@ -0,0 +1,181 @@
+// Lesson HTML comes from the Directus WYSIWYG editor and is rendered with
+// dangerouslySetInnerHTML, so it is sanitized on the server against an
+// allowlist first. Known players (YouTube, Vimeo, CodePen) become sandboxed
+// iframes and Directus images get their /assets URL and dimensions.
+
+import sanitizeHtml from 'sanitize-html';
+import {getConfig} from './config.js';
+import {listFiles} from './directus.js';
+import {EMBED_HOSTS, getCodePenLink, toEmbed} from './embeds.js';
+import {logger} from './logger.js';
+
+const ALLOWED_TAGS = [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'mark', 'small', 'span', 'div',
+    'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'a', 'img', 'figure', 'figcaption', 'iframe',
+    'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+];
+
+const ALLOWED_ATTRIBUTES = {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+    iframe: ['src', 'title', 'sandbox', 'allow', 'allowfullscreen', 'loading', 'referrerpolicy'],
+    ol: ['start', 'type'],
+    th: ['colspan', 'rowspan', 'scope'],
+    td: ['colspan', 'rowspan']
+};
+
+const ASSET_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const toDimension = (value) => {
+    const number = Math.round(Number(value));
+    return number > 0 ? number : null;
+};
+
+// The Directus file id of an image served from this Directus instance, or null
+function getAssetId(src, directusUrl) {
+    try {
+        const base = new URL(directusUrl);
+        const url = new URL(src, base);
+        if (url.origin !== base.origin) return null;
+        const prefix = `${base.pathname.replace(/\/+$/, '')}/assets/`;
+        if (!url.pathname.startsWith(prefix)) return null;
+        const id = url.pathname.slice(prefix.length).split('/')[0];
+        return ASSET_ID.test(id) ? id : null;
+    } catch {
+        return null;
+    }
+}
+
+function embedTag(link, title) {
+    const embed = toEmbed(link);
+    // An iframe without a src is dropped by the exclusive filter below
+    if (!embed) return {tagName: 'iframe', attribs: {}};
+    return {
+        tagName: 'iframe',
+        attribs: {
+            src: embed.src,
+            title: title || `Embedded ${embed.title} content`,
+            sandbox: embed.sandbox,
+            allow: embed.allow,
+            allowfullscreen: '',
+            loading: 'lazy',
+            referrerpolicy: 'strict-origin-when-cross-origin'
+        }
+    };
+}
+
+// Directus images point at /assets/<id>; everything else keeps its src. Width
+// and height come from the file unless the editor sized the image, in which
+// case the other side is scaled to keep the aspect ratio.
+function imageTag(attribs, directusUrl, files) {
+    const assetId = getAssetId(attribs.src, directusUrl);
+    const file = assetId ? files[assetId] : null;
+    const fileWidth = toDimension(file?.width);
+    const fileHeight = toDimension(file?.height);
+    let width = toDimension(attribs.width);
+    let height = toDimension(attribs.height);
+
+    if (fileWidth && fileHeight) {
+        if (width && !height) height = Math.round(width * fileHeight / fileWidth);
+        else if (height && !width) width = Math.round(height * fileWidth / fileHeight);
+        else if (!width && !height) [width, height] = [fileWidth, fileHeight];
+    }
+
+    let src = attribs.src;
+    if (assetId) {
+        // Let Directus resize images that are shown smaller than the original
+        const resize = width && fileWidth && width < fileWidth ? `?width=${width}` : '';
+        src = `${directusUrl}/assets/${assetId}${resize}`;
+    }
+
+    return {
+        tagName: 'img',
+        attribs: {
+            src,
+            alt: attribs.alt ?? file?.description ?? '',
+            ...(attribs.title ? {title: attribs.title} : {}),
+            ...(width ? {width: String(width)} : {}),
+            ...(height ? {height: String(height)} : {}),
+            loading: 'lazy'
+        }
+    };
+}
+
+// files maps Directus file ids to {width, height, description}
+export function sanitizeLessonHtml(html, {directusUrl, files = {}} = {}) {
+    if (!html) return '';
+    return sanitizeHtml(html, {
+        allowedTags: ALLOWED_TAGS,
+        allowedAttributes: ALLOWED_ATTRIBUTES,
+        allowedClasses: {
+            code: ['language-*'],
+            pre: ['language-*']
+        },
+        allowedSchemes: ['http', 'https', 'mailto'],
+        allowedSchemesByTag: {img: ['http', 'https'], iframe: ['https']},
+        allowProtocolRelative: false,
+        allowedIframeHostnames: EMBED_HOSTS,
+        transformTags: {
+            a: (tagName, attribs) => ({
+                tagName,
+                attribs: attribs.target
+                    ? {...attribs, target: '_blank', rel: 'noopener noreferrer'}
+                    : attribs
+            }),
+            img: (tagName, attribs) => imageTag(attribs, directusUrl, files),
+            iframe: (tagName, attribs) => embedTag(attribs.src, attribs.title),
+            // The media embed of CKEditor-style editors
+            oembed: (tagName, attribs) => embedTag(attribs.url),
+            // CodePen's copy-paste snippet; its loader script is stripped anyway.
+            // A snippet that does not name its pen is dropped.
+            p: (tagName, attribs) => /\bcodepen\b/.test(attribs.class || '')
+                ? embedTag(getCodePenLink(attribs['data-user'], attribs['data-slug-hash']))
+                : {tagName, attribs}
+        },
+        // frame.tag is the tag as written and frame.name, when set, the tag a
+        // transform above turned it into
+        exclusiveFilter: frame =>
+            ((frame.name || frame.tag) === 'iframe' && !frame.attribs.src) || (frame.tag === 'img' && !frame.attribs.src)
+    });
+}
+
+// The ids of Directus files used by images in the HTML
+export function getImageAssetIds(html, directusUrl) {
+    const ids = new Set();
+    sanitizeHtml(html || '', {
+        allowedTags: ['img'],
+        allowedAttributes: {img: ['src']},
+        exclusiveFilter: frame => {
+            const id = frame.tag === 'img' ? getAssetId(frame.attribs.src, directusUrl) : null;
+            if (id) ids.add(id);
+            return false;
+        }
+    });
+    return [...ids];
+}
+
+// Sanitizes lesson HTML, looking up the dimensions of its Directus images.
+// Images are still rendered, just without sizes, if the lookup fails.
+export async function prepareLessonContent(html) {
+    const {directusUrl} = getConfig();
+    const ids = getImageAssetIds(html, directusUrl);
+
+    const files = {};
+    if (ids.length > 0) {
+        try {
+            const rows = await listFiles({
+                fields: ['id', 'width', 'height', 'description'],
+                filter: {id: {_in: ids}},
+                limit: ids.length
+            });
+            rows.forEach(row => {
+                files[row.id] = row;
+            });
+        } catch (error) {
+            logger.error('Error fetching lesson image sizes', {error});
+        }
+    }
+
+    return sanitizeLessonHtml(html, {directusUrl, files});
+}
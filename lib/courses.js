@@ -0,0 +1,157 @@
+// Course structure helpers shared by pages and API routes.
+
+const bySort = (a, b) => (a.sort || 0) - (b.sort || 0);
+
+// Fields formatCourse reads
+export const COURSE_OUTLINE_FIELDS = [
+    'id',
+    'title',
+    'modules.id',
+    'modules.title',
+    'modules.sort',
+    'modules.lessons.id',
+    'modules.lessons.title',
+    'modules.lessons.sort'
+];
+
+// Courses set unlock_mode and modules may override it:
+//   open        lessons can be taken in any order (the default)
+//   module      a module opens once every lesson of the modules before it is completed
+//   sequential  as module, and within a module each lesson opens after the one before
+// A lesson may also list explicit prerequisites, other lessons of the course, in
+// its `prerequisites` many-to-many field.
+export const UNLOCK_MODES = ['open', 'module', 'sequential'];
+
+// Fields getLessonLocks reads on top of COURSE_OUTLINE_FIELDS
+export const COURSE_UNLOCK_FIELDS = [
+    'unlock_mode',
+    'modules.unlock_mode',
+    'modules.lessons.prerequisites.related_lms_lessons_id'
+];
+
+// The lesson page for a lesson, opened from an enrollment when one is given
+export function getLessonUrl(lessonId, enrollmentId) {
+    const path = `/lessons/${encodeURIComponent(lessonId)}`;
+    return enrollmentId ? `${path}?callback=${encodeURIComponent(`/enrollments/${enrollmentId}`)}` : path;
+}
+
+// lesson needs module.course, enrollment needs course.id
+export function isLessonInCourse(lesson, enrollment) {
+    return Boolean(lesson.module) && String(lesson.module.course) === String(enrollment.course?.id);
+}
+
+// Sorts modules and their lessons the way every course view lists them.
+// formatLesson adds view-specific fields (such as a url) to each lesson.
+export function formatCourse(course, formatLesson = () => ({})) {
+    return {
+        id: course.id,
+        title: course.title,
+        modules: course.modules
+            ? [...course.modules]
+                .sort(bySort)
+                .map(module => ({
+                    id: module.id,
+                    title: module.title,
+                    sort: module.sort || 0,
+                    lessons: module.lessons
+                        ? [...module.lessons]
+                            .sort(bySort)
+                            .map(lesson => ({
+                                id: lesson.id,
+                                title: lesson.title,
+                                sort: lesson.sort || 0,
+                                ...formatLesson(lesson, module)
+                            }))
+                        : []
+                }))
+            : []
+    };
+}
+
+export function countLessons(course) {
+    return (course.modules || []).reduce((total, module) => total + (module.lessons || []).length, 0);
+}
+
+// The lessons of a formatted course in reading order, each with its module
+export function listLessons(course) {
+    return course.modules.flatMap(module =>
+        module.lessons.map(lesson => ({...lesson, module: {id: module.id, title: module.title}})));
+}
+
+// Breadcrumb and previous/next lessons for a lesson of a formatted course,
+// crossing module boundaries; null when the lesson is not in the course
+export function getLessonNavigation(course, lessonId) {
+    const lessons = listLessons(course);
+    const index = lessons.findIndex(lesson => String(lesson.id) === String(lessonId));
+    if (index === -1) return null;
+    return {
+        course: {id: course.id, title: course.title},
+        module: lessons[index].module,
+        previous: lessons[index - 1] || null,
+        next: lessons[index + 1] || null
+    };
+}
+
+// The first lesson in course order that is neither completed nor locked, or
+// null when there is none
+export function findNextLesson(course, completedLessonIds) {
+    const completed = new Set(completedLessonIds.map(String));
+    return listLessons(course).find(lesson => !completed.has(String(lesson.id)) && !lesson.locked) || null;
+}
+
+function getUnlockMode(course, module) {
+    const mode = module.unlock_mode || course.unlock_mode;
+    return UNLOCK_MODES.includes(mode) ? mode : 'open';
+}
+
+const getPrerequisiteIds = lesson => (lesson.prerequisites || [])
+    .map(row => row?.related_lms_lessons_id?.id ?? row?.related_lms_lessons_id)
+    .filter(id => id != null)
+    .map(String);
+
+// Lessons that are still locked for a learner, as a Map from lesson id (a
+// string) to the lessons [{id, title}] to complete first. Takes a course as
+// read from Directus with COURSE_UNLOCK_FIELDS. Completed lessons stay open even
+// if prerequisites were added later, and prerequisites that are no longer in
+// the course are ignored so a lesson never becomes impossible to open.
+export function getLessonLocks(course, completedLessonIds) {
+    const completed = new Set(completedLessonIds.map(String));
+    const isOpen = lesson => !completed.has(String(lesson.id));
+    const modules = [...(course.modules || [])]
+        .sort(bySort)
+        .map(module => ({...module, lessons: [...(module.lessons || [])].sort(bySort)}));
+    const lessonsById = new Map(modules.flatMap(module => module.lessons).map(lesson => [String(lesson.id), lesson]));
+
+    const locks = new Map();
+    const earlierLessons = [];
+    for (const module of modules) {
+        const mode = getUnlockMode(course, module);
+        const moduleBlockers = mode === 'open' ? [] : earlierLessons.filter(isOpen);
+
+        module.lessons.forEach((lesson, index) => {
+            if (completed.has(String(lesson.id))) return;
+            const required = [...moduleBlockers];
+            if (mode === 'sequential') {
+                required.push(...module.lessons.slice(0, index).filter(isOpen));
+            }
+            for (const prerequisiteId of getPrerequisiteIds(lesson)) {
+                const prerequisite = lessonsById.get(prerequisiteId);
+                if (prerequisite && isOpen(prerequisite) && !required.includes(prerequisite)) {
+                    required.push(prerequisite);
+                }
+            }
+            if (required.length > 0) {
+                locks.set(String(lesson.id), required.map(({id, title}) => ({id, title})));
+            }
+        });
+        earlierLessons.push(...module.lessons);
+    }
+    return locks;
+}
+
+// What a learner sees in place of a locked lesson
+export function describeLock(requires) {
+    const [first, ...rest] = requires;
+    if (rest.length === 0) return `Complete "${first.title}" first`;
+    return `Complete "${first.title}" and ${rest.length} other lesson${rest.length === 1 ? '' : 's'} first`;
+}
@@ -0,0 +1,243 @@
+// Server-side Directus REST client. Only import this from getServerSideProps,
+// API routes or scripts so it never ends up in a client bundle.
+
+import {getConfig} from './config.js';
+import {elapsedMs, getRequestId, logger} from './logger.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 250;
+
+// Methods that are safe to send twice; POST creates rows so it is never retried
+const RETRYABLE_METHODS = ['GET', 'HEAD', 'PATCH', 'DELETE'];
+
+export class DirectusError extends Error {
+    constructor(message, {status = 500, body = null, url = null, cause} = {}) {
+        super(message, cause ? {cause} : undefined);
+        this.name = 'DirectusError';
+        this.status = status;
+        this.body = body;
+        this.url = url;
+    }
+}
+
+// Directus answers 403 for ids that do not exist, so treat both as missing
+export function isNotFoundError(error) {
+    return error instanceof DirectusError && [403, 404].includes(error.status);
+}
+
+// Directus puts a machine-readable code on each error, e.g. RECORD_NOT_UNIQUE
+// when a write breaks a unique index
+export function hasErrorCode(error, code) {
+    return error instanceof DirectusError
+        && Array.isArray(error.body?.errors)
+        && error.body.errors.some(item => item?.extensions?.code === code);
+}
+
+// Turns {fields: [...], sort: [...], filter: {...}} into a Directus query string
+export function buildQuery({fields, sort, filter, limit, page, deep} = {}) {
+    const params = new URLSearchParams();
+    if (fields?.length) params.set('fields', [].concat(fields).join(','));
+    if (sort?.length) params.set('sort', [].concat(sort).join(','));
+    if (filter) params.set('filter', JSON.stringify(filter));
+    if (deep) params.set('deep', JSON.stringify(deep));
+    if (limit !== undefined) params.set('limit', String(limit));
+    if (page !== undefined) params.set('page', String(page));
+    return params.toString();
+}
+
+// Directus can log this header, so one request can be followed into its logs
+function baseHeaders(bearer) {
+    const headers = bearer ? {'Authorization': `Bearer ${bearer}`} : {};
+    const requestId = getRequestId();
+    if (requestId) headers['X-Request-Id'] = requestId;
+    return headers;
+}
+
+// 4xx answers are part of normal use (a wrong password, a missing item); only
+// server errors, timeouts and unreachable hosts are upstream failures
+function logResponse({method, path, status, attempt, start, error, retrying}) {
+    const fields = {method, path, status, attempt: attempt + 1, durationMs: elapsedMs(start)};
+    if (!error) {
+        logger.debug('Directus request', fields);
+    } else if (status < 500) {
+        logger.debug('Directus request rejected', fields);
+    } else {
+        logger.warn('Directus request failed', {...fields, retrying, error: error.message});
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function readBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+export async function request(path, {
+    method = 'GET',
+    query,
+    body,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = RETRYABLE_METHODS.includes(method) ? DEFAULT_RETRIES : 0,
+    // A user's access token to act as that user; null sends no credentials
+    token
+} = {}) {
+    const {directusUrl, directusToken} = getConfig();
+    const queryString = buildQuery(query);
+    const url = `${directusUrl}${path}${queryString ? `?${queryString}` : ''}`;
+    const bearer = token === undefined ? directusToken : token;
+    const headers = baseHeaders(bearer);
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const start = performance.now();
+        let error;
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+            const responseBody = await readBody(response);
+
+            // A proxy or maintenance page in front of Directus can answer 200
+            // with HTML; callers expect {data}, so treat it as a bad gateway
+            if (response.ok && typeof responseBody === 'string') {
+                error = new DirectusError(
+                    `Directus ${method} ${path} returned a response that is not JSON`,
+                    {status: 502, body: responseBody.slice(0, 200), url}
+                );
+            } else if (response.ok) {
+                logResponse({method, path, status: response.status, attempt, start});
+                return responseBody;
+            } else {
+                error = new DirectusError(
+                    `Directus ${method} ${path} failed: ${response.status} ${response.statusText}`,
+                    {status: response.status, body: responseBody, url}
+                );
+            }
+        } catch (cause) {
+            const timedOut = cause.name === 'AbortError';
+            error = new DirectusError(
+                `Directus ${method} ${path} ${timedOut ? `timed out after ${timeout}ms` : `failed: ${cause.message}`}`,
+                {status: timedOut ? 504 : 502, url, cause}
+            );
+        } finally {
+            clearTimeout(timer);
+        }
+
+        // Client errors (4xx) will not get better by retrying
+        const retrying = error.status >= 500 && attempt < retries;
+        logResponse({method, path, status: error.status, attempt, start, error, retrying});
+        if (!retrying) {
+            throw error;
+        }
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+    }
+}
+
+// Fetches a file from /assets and returns the raw Response so its body can be
+// streamed on. The timeout covers the response headers only.
+export async function fetchAsset(fileId, {download = false, timeout = DEFAULT_TIMEOUT_MS} = {}) {
+    const {directusUrl, directusToken} = getConfig();
+    const path = `/assets/${encodeURIComponent(fileId)}`;
+    const url = `${directusUrl}${path}${download ? '?download' : ''}`;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const start = performance.now();
+
+    let response;
+    try {
+        response = await fetch(url, {
+            headers: baseHeaders(directusToken),
+            signal: controller.signal
+        });
+    } catch (cause) {
+        const timedOut = cause.name === 'AbortError';
+        const error = new DirectusError(
+            `Directus GET ${path} ${timedOut ? `timed out after ${timeout}ms` : `failed: ${cause.message}`}`,
+            {status: timedOut ? 504 : 502, url, cause}
+        );
+        logResponse({method: 'GET', path, status: error.status, attempt: 0, start, error, retrying: false});
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+        const error = new DirectusError(
+            `Directus GET ${path} failed: ${response.status} ${response.statusText}`,
+            {status: response.status, body: await readBody(response), url}
+        );
+        logResponse({method: 'GET', path, status: error.status, attempt: 0, start, error, retrying: false});
+        throw error;
+    }
+    logResponse({method: 'GET', path, status: response.status, attempt: 0, start});
+    return response;
+}
+
+export async function listItems(collection, query) {
+    const {data} = await request(`/items/${collection}`, {query});
+    return data;
+}
+
+export async function getItem(collection, id, query) {
+    const {data} = await request(`/items/${collection}/${encodeURIComponent(id)}`, {query});
+    return data;
+}
+
+export async function createItem(collection, data, {query, ...options} = {}) {
+    const {data: created} = await request(`/items/${collection}`, {
+        ...options,
+        method: 'POST',
+        query,
+        body: data
+    });
+    return created;
+}
+
+export async function updateItem(collection, id, data, {query, ...options} = {}) {
+    const {data: updated} = await request(`/items/${collection}/${encodeURIComponent(id)}`, {
+        ...options,
+        method: 'PATCH',
+        query,
+        body: data
+    });
+    return updated;
+}
+
+// Directus files live under /files rather than /items
+export async function listFiles(query) {
+    const {data} = await request('/files', {query});
+    return data;
+}
+
+export function getEnrollment(id, query) {
+    return getItem('lms_enrollments', id, query);
+}
+
+export function updateEnrollment(id, data, options) {
+    return updateItem('lms_enrollments', id, data, options);
+}
+
+export function listCourses(query) {
+    return listItems('lms_courses', query);
+}
+
+export function getCourse(id, query) {
+    return getItem('lms_courses', id, query);
+}
+
+export function getLesson(id, query) {
+    return getItem('lms_lessons', id, query);
+}
@@ -0,0 +1,149 @@
+// Third-party players that lessons may embed. Each provider turns a share,
+// watch or embed link into the player URL we frame, and lists what that player
+// needs from the iframe sandbox. Pure functions, safe in the browser.
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_LIST = /^[A-Za-z0-9_-]+$/;
+const VIMEO_ID = /^\d+$/;
+const VIMEO_HASH = /^[0-9a-f]+$/;
+const LOOM_ID = /^[0-9a-f]{32}$/;
+const CODEPEN_NAME = /^[A-Za-z0-9_-]+$/;
+
+const VIDEO_SANDBOX = 'allow-scripts allow-same-origin allow-presentation allow-popups';
+const VIDEO_ALLOW = 'autoplay; encrypted-media; fullscreen; picture-in-picture';
+
+// Start times are written as "90", "90s", "1m30s" or "1h2m3s"; returns seconds
+export function parseTimestamp(value) {
+    if (!value) return null;
+    const match = String(value).match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/);
+    if (!match || match[0] === '') return null;
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    const total = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    return total > 0 ? total : null;
+}
+
+const withParams = (base, params) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value != null)).toString();
+    return query ? `${base}?${query}` : base;
+};
+
+const PROVIDERS = {
+    youtube: {
+        title: 'YouTube',
+        hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtu.be', 'youtube-nocookie.com', 'www.youtube-nocookie.com'],
+        parse(url) {
+            const segments = url.pathname.split('/').filter(Boolean);
+            const list = url.searchParams.get('list');
+            let id;
+            if (url.hostname === 'youtu.be') id = segments[0];
+            else if (['embed', 'shorts', 'live', 'v'].includes(segments[0])) id = segments[1];
+            else id = url.searchParams.get('v');
+
+            // embed/videoseries?list=... is a playlist without a starting video
+            if (id === 'videoseries' || segments[0] === 'playlist') id = null;
+            if (id && !YOUTUBE_ID.test(id)) return null;
+            if (list && !YOUTUBE_LIST.test(list)) return null;
+            if (!id && !list) return null;
+
+            const start = parseTimestamp(url.searchParams.get('t') || url.searchParams.get('start'));
+            return {id, list, start};
+        },
+        embedUrl: ({id, list, start}) =>
+            withParams(`https://www.youtube-nocookie.com/embed/${id || 'videoseries'}`, {list, start}),
+        sandbox: VIDEO_SANDBOX,
+        allow: VIDEO_ALLOW
+    },
+    vimeo: {
+        title: 'Vimeo',
+        hosts: ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'],
+        // vimeo.com/<id>[/<hash>], player.vimeo.com/video/<id>?h=<hash>, and
+        // channel, group or showcase pages. Those may carry their own numeric
+        // id first, so the video is the id after "video", or else the last one.
+        parse(url) {
+            const segments = url.pathname.split('/').filter(Boolean);
+            const afterVideo = segments.indexOf('video') + 1;
+            const index = afterVideo > 0 && VIMEO_ID.test(segments[afterVideo] || '')
+                ? afterVideo
+                : segments.findLastIndex(segment => VIMEO_ID.test(segment));
+            if (index === -1) return null;
+            const hash = url.searchParams.get('h') || segments[index + 1] || null;
+            const start = parseTimestamp(url.hash.match(/^#t=(.+)$/)?.[1] || url.searchParams.get('t'));
+            return {
+                id: segments[index],
+                hash: hash && VIMEO_HASH.test(hash) ? hash : null,
+                start
+            };
+        },
+        embedUrl: ({id, hash, start}) =>
+            withParams(`https://player.vimeo.com/video/${id}`, {h: hash}) + (start ? `#t=${start}s` : ''),
+        sandbox: VIDEO_SANDBOX,
+        allow: VIDEO_ALLOW
+    },
+    loom: {
+        title: 'Loom',
+        hosts: ['loom.com', 'www.loom.com'],
+        parse(url) {
+            const [kind, id] = url.pathname.split('/').filter(Boolean);
+            return ['share', 'embed'].includes(kind) && LOOM_ID.test(id || '')
+                ? {id, start: parseTimestamp(url.searchParams.get('t'))}
+                : null;
+        },
+        embedUrl: ({id, start}) => withParams(`https://www.loom.com/embed/${id}`, {t: start}),
+        sandbox: VIDEO_SANDBOX,
+        allow: VIDEO_ALLOW
+    },
+    codepen: {
+        title: 'CodePen',
+        hosts: ['codepen.io'],
+        // codepen.io/<user>/pen/<slug> or codepen.io/<user>/embed/<slug>
+        parse(url) {
+            const [user, kind, slug] = url.pathname.split('/').filter(Boolean);
+            return ['pen', 'embed'].includes(kind) && CODEPEN_NAME.test(user || '') && CODEPEN_NAME.test(slug || '')
+                ? {user, slug}
+                : null;
+        },
+        embedUrl: ({user, slug}) => `https://codepen.io/${user}/embed/${slug}?default-tab=result`,
+        sandbox: 'allow-scripts allow-same-origin allow-forms allow-modals allow-popups',
+        allow: 'fullscreen'
+    }
+};
+
+export const VIDEO_PROVIDERS = ['youtube', 'vimeo', 'loom'];
+
+export const EMBED_HOSTS = Object.values(PROVIDERS).flatMap(provider => provider.hosts);
+
+// Returns {provider, title, src, sandbox, allow, playlist} for a link to a
+// known player, or null
+export function toEmbed(link) {
+    let url;
+    try {
+        url = new URL(link);
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+    for (const [name, provider] of Object.entries(PROVIDERS)) {
+        if (!provider.hosts.includes(url.hostname)) continue;
+        const match = provider.parse(url);
+        return match
+            ? {
+                provider: name,
+                title: provider.title,
+                src: provider.embedUrl(match),
+                sandbox: provider.sandbox,
+                allow: provider.allow,
+                playlist: Boolean(match.list)
+            }
+            : null;
+    }
+    return null;
+}
+
+// The pen a CodePen embed snippet (<p class="codepen" data-user="..."
+// data-slug-hash="...">) shows, or null when either name is missing or malformed
+export function getCodePenLink(user, slug) {
+    return CODEPEN_NAME.test(user || '') && CODEPEN_NAME.test(slug || '')
+        ? `https://codepen.io/${user}/pen/${slug}`
+        : null;
+}
@@ -0,0 +1,143 @@
+// What a lesson page shows for one learner. The page itself is static and the
+// same for everyone (see getStaticProps in pages/lessons/[id].js), so it only
+// carries the lesson's body when no learner can be kept out of the lesson.
+// The browser loads the rest from /api/lessons/[id]/state once it knows the
+// enrollment, and the body of any other lesson is only handed out after the
+// checks below.
+
+import {listAttempts} from './attempts.js';
+import {canAccessEnrollment, ENROLLMENT_OWNER_FIELDS, isStaff} from './auth.js';
+import {getCachedCourse, getCachedLesson, getCachedLessonContent} from './catalog.js';
+import {getConfig} from './config.js';
+import {COURSE_OUTLINE_FIELDS, formatCourse, getLessonNavigation, isLessonInCourse} from './courses.js';
+import {getEnrollment, isNotFoundError} from './directus.js';
+import {logger} from './logger.js';
+import {getCompletedLessonIds} from './progress.js';
+import {hasQuiz} from './quiz.js';
+import {formatResources, LESSON_RESOURCE_FIELDS} from './resources.js';
+import {getLessonRestrictions, isLessonOpenToAll, RESTRICTION_COURSE_FIELDS, RESTRICTION_ENROLLMENT_FIELDS} from './restrictions.js';
+import {getLessonVideo, getMinimumWatchPercent, isWatchRequired, LESSON_VIDEO_FIELDS, VIDEO_FILE_FIELDS} from './video.js';
+import {getWatchProgress} from './watch.js';
+
+const LESSON_STATE_FIELDS = [
+    'id',
+    'content',
+    'quiz',
+    'module.course',
+    ...LESSON_VIDEO_FIELDS,
+    ...VIDEO_FILE_FIELDS,
+    ...LESSON_RESOURCE_FIELDS
+];
+
+// The parts of the lesson only learners who may open it get:
+//   {content, video, resources, minWatchPercent, navigation}
+// content is sanitized HTML (see lib/content.js) and navigation holds the
+// breadcrumb and previous/next lessons in the enrollment page's order.
+async function loadLessonBody(lesson, course) {
+    const video = getLessonVideo(lesson, getConfig().directusUrl);
+    return {
+        content: await getCachedLessonContent(lesson.id, lesson.content),
+        video,
+        resources: formatResources(lesson.resources, {lessonId: lesson.id}),
+        minWatchPercent: isWatchRequired(lesson, video) ? getMinimumWatchPercent(lesson) : 0,
+        navigation: course ? getLessonNavigation(formatCourse(course), lesson.id) : null
+    };
+}
+
+// The body of a published course's lesson that every learner may open, for
+// its static page, or null when it has to come from loadLessonState
+export async function loadStaticLessonBody(lessonId) {
+    const lesson = await getCachedLesson(lessonId, {fields: LESSON_STATE_FIELDS});
+    if (!lesson.module?.course) return null;
+    const course = await getCachedCourse(lesson.module.course, {fields: [...RESTRICTION_COURSE_FIELDS, 'status']});
+    return course.status === 'published' && isLessonOpenToAll(course, lesson.id)
+        ? loadLessonBody(lesson, course)
+        : null;
+}
+
+// Returns {status, error} or {status: 200, state} with state
+//   {lesson, isCompleted, restrictedLessonIds, quizAttempts, watchProgress}
+// where lesson is the body from loadLessonBody, or null when includeLesson is
+// false because the page already has it, and restrictedLessonIds lists the
+// course's lessons the learner cannot open yet. Learners need an enrollment
+// for the lesson's course and the lesson must be open to them; staff may
+// leave the enrollment out.
+export async function loadLessonState(user, lessonId, enrollmentId, {includeLesson = true} = {}) {
+    if (!user) {
+        return {status: 401, error: 'Please sign in to view this lesson'};
+    }
+    if (!enrollmentId && !isStaff(user)) {
+        return {status: 403, error: 'Open this lesson from your enrollment page'};
+    }
+
+    try {
+        let lesson;
+        let enrollment = null;
+        try {
+            [lesson, enrollment] = await Promise.all([
+                getCachedLesson(lessonId, {fields: LESSON_STATE_FIELDS}),
+                enrollmentId
+                    ? getEnrollment(enrollmentId, {fields: [...ENROLLMENT_OWNER_FIELDS, ...RESTRICTION_ENROLLMENT_FIELDS]})
+                    : null
+            ]);
+        } catch (error) {
+            if (isNotFoundError(error)) {
+                return {status: 404, error: 'Lesson or enrollment not found'};
+            }
+            throw error;
+        }
+
+        if (!enrollment) {
+            const course = lesson.module?.course
+                ? await getCachedCourse(lesson.module.course, {fields: COURSE_OUTLINE_FIELDS})
+                : null;
+            return {
+                status: 200,
+                state: {
+                    lesson: includeLesson ? await loadLessonBody(lesson, course) : null,
+                    isCompleted: false,
+                    restrictedLessonIds: [],
+                    quizAttempts: [],
+                    watchProgress: null
+                }
+            };
+        }
+        if (!canAccessEnrollment(user, enrollment)) {
+            return {status: 403, error: 'You do not have access to this enrollment'};
+        }
+        if (!isLessonInCourse(lesson, enrollment)) {
+            return {status: 403, error: 'This lesson is not part of your course'};
+        }
+
+        // Staff reviewing an enrollment are not held to its schedule or prerequisites
+        const completedLessonIds = getCompletedLessonIds(enrollment).map(String);
+        const course = await getCachedCourse(enrollment.course.id, {fields: RESTRICTION_COURSE_FIELDS});
+        const restrictions = isStaff(user)
+            ? new Map()
+            : getLessonRestrictions(course, enrollment, completedLessonIds);
+        const restriction = restrictions.get(String(lesson.id));
+        if (restriction) {
+            return {status: 403, error: restriction.message};
+        }
+
+        const body = await loadLessonBody(lesson, course);
+        const [quizAttempts, watchProgress] = await Promise.all([
+            hasQuiz(lesson) ? listAttempts(enrollment.id, lesson.id) : [],
+            body.video?.trackable ? getWatchProgress(enrollment.id, lesson.id) : null
+        ]);
+
+        return {
+            status: 200,
+            state: {
+                lesson: includeLesson ? body : null,
+                isCompleted: completedLessonIds.includes(String(lesson.id)),
+                restrictedLessonIds: [...restrictions.keys()],
+                quizAttempts,
+                watchProgress
+            }
+        };
+    } catch (error) {
+        logger.error('Error loading lesson state', {error});
+        return {status: 500, error: 'Failed to load your progress for this lesson'};
+    }
+}
@@ -0,0 +1,127 @@
+// Server-side structured logging. Every entry is one JSON line carrying the
+// current request ID, so function logs can be searched and followed across the
+// Directus calls made for one request. Only import this from server code.
+
+import {AsyncLocalStorage} from 'node:async_hooks';
+import {getConfig, LOG_LEVELS} from './config.js';
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Keys whose values are credentials or identify a learner. Compared without
+// case, dashes or underscores, so accessToken, access_token and X-Access-Token
+// all match.
+const SECRET_KEY = /(token|secret|password|authorization|cookie)$/;
+const PERSONAL_KEYS = new Set(['email', 'firstname', 'lastname', 'fullname', 'phone', 'answers']);
+
+// The same values when they turn up inside messages, URLs or upstream bodies
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+const BEARER_PATTERN = /\b(Bearer)\s+[^\s"',]+/gi;
+const QUERY_SECRET_PATTERN = /([?&](?:access_token|refresh_token|token|secret)=)[^&#\s"']+/gi;
+
+const requestContext = new AsyncLocalStorage();
+
+// Runs fn() with requestId attached to every entry logged and every Directus
+// request made until it settles
+export function runWithRequestId(requestId, fn) {
+    return requestContext.run({requestId}, fn);
+}
+
+export function getRequestId() {
+    return requestContext.getStore()?.requestId ?? null;
+}
+
+// Milliseconds since a performance.now() reading, to one decimal place
+export function elapsedMs(start) {
+    return Math.round((performance.now() - start) * 10) / 10;
+}
+
+function redactString(value) {
+    return value
+        .replace(BEARER_PATTERN, `$1 ${REDACTED}`)
+        .replace(QUERY_SECRET_PATTERN, `$1${REDACTED}`)
+        .replace(EMAIL_PATTERN, REDACTED);
+}
+
+function isSensitiveKey(key) {
+    const normalized = key.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return SECRET_KEY.test(normalized) || PERSONAL_KEYS.has(normalized);
+}
+
+function serializeError(error, depth, seen) {
+    const serialized = {name: error.name, message: error.message};
+    for (const key of ['status', 'url', 'body']) {
+        if (error[key] !== undefined && error[key] !== null) serialized[key] = error[key];
+    }
+    if (error.stack) serialized.stack = error.stack;
+    if (error.cause !== undefined) serialized.cause = error.cause;
+    return redactValue(serialized, depth, seen);
+}
+
+// Returns a copy of value that is safe to write to the logs: credentials and
+// personal details are replaced, errors become plain objects and cycles or
+// very deep structures are cut short
+export function redact(value) {
+    return redactValue(value, 0, new WeakSet());
+}
+
+function redactValue(value, depth, seen) {
+    if (typeof value === 'string') return redactString(value);
+    if (typeof value === 'bigint') return String(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    seen.add(value);
+
+    let result;
+    if (value instanceof Error) {
+        result = serializeError(value, depth + 1, seen);
+    } else if (Array.isArray(value)) {
+        result = value.map(item => redactValue(item, depth + 1, seen));
+    } else {
+        result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (item === undefined) continue;
+            result[key] = isSensitiveKey(key) ? REDACTED : redactValue(item, depth + 1, seen);
+        }
+    }
+    seen.delete(value);
+    return result;
+}
+
+// An unreadable configuration must not stop errors about it being logged
+function minimumLevel() {
+    try {
+        return getConfig().logLevel;
+    } catch {
+        return 'info';
+    }
+}
+
+function write(level, message, fields) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minimumLevel())) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactString(String(message)),
+        requestId: getRequestId() ?? undefined,
+        ...redact(fields || {})
+    };
+    const line = JSON.stringify(entry);
+    if (level === 'error' || level === 'warn') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+// logger.info('Lesson completion', {enrollmentId, lessonId, durationMs}).
+// Put a caught error under `error`; it is serialized with its stack and cause.
+export const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
@@ -0,0 +1,91 @@
+// Enrollment progress derived from the course structure. percent_complete and
+// is_completed on lms_enrollments are a cache of computeProgress() and are
+// rewritten by storeProgress() whenever completions change.
+
+import {getCourse, getEnrollment, updateEnrollment} from './directus.js';
+
+export const COURSE_LESSON_FIELDS = ['id', 'modules.lessons.id'];
+
+// Counts only lessons that are still part of the course, each once
+export function computeProgress(course, completedLessonIds) {
+    const courseLessonIds = new Set(
+        (course?.modules || []).flatMap(module => (module.lessons || []).map(lesson => String(lesson.id)))
+    );
+    const completed = new Set(
+        completedLessonIds.map(String).filter(lessonId => courseLessonIds.has(lessonId))
+    );
+
+    const totalLessons = courseLessonIds.size;
+    const completedCount = completed.size;
+
+    return {
+        totalLessons,
+        completedCount,
+        remainingCount: totalLessons - completedCount,
+        // Rounded down so 100% is only shown once everything is done
+        percentComplete: totalLessons > 0 ? Math.floor((completedCount / totalLessons) * 100) : 0,
+        isCompleted: totalLessons > 0 && completedCount === totalLessons
+    };
+}
+
+// Per-module counts for a formatted course (see formatCourse in courses.js):
+// [{id, title, totalLessons, completedCount, percentComplete, status}], where
+// status is 'not_started', 'in_progress' or 'done'. As in computeProgress,
+// completions of lessons no longer in a module are not counted.
+export function computeModuleProgress(course, completedLessonIds) {
+    const completed = new Set(completedLessonIds.map(String));
+    return (course?.modules || []).map(module => {
+        const lessonIds = new Set((module.lessons || []).map(lesson => String(lesson.id)));
+        const totalLessons = lessonIds.size;
+        const completedCount = [...lessonIds].filter(lessonId => completed.has(lessonId)).length;
+        let status = 'not_started';
+        if (totalLessons > 0 && completedCount === totalLessons) status = 'done';
+        else if (completedCount > 0) status = 'in_progress';
+        return {
+            id: module.id,
+            title: module.title,
+            totalLessons,
+            completedCount,
+            percentComplete: totalLessons > 0 ? Math.floor((completedCount / totalLessons) * 100) : 0,
+            status
+        };
+    });
+}
+
+export function getCompletedLessonIds(enrollment) {
+    return (enrollment.lessons_completed || [])
+        .filter(item => item && item.lms_lessons_id)
+        .map(item => item.lms_lessons_id.id ?? item.lms_lessons_id);
+}
+
+// Stores computeProgress() for an enrollment read with percent_complete and
+// is_completed, writing only when the values changed. With dryRun the new
+// values are returned but not written.
+export async function storeProgress(enrollment, course, completedLessonIds, {dryRun = false} = {}) {
+    const progress = computeProgress(course, completedLessonIds);
+    const changed = enrollment.percent_complete !== progress.percentComplete
+        || Boolean(enrollment.is_completed) !== progress.isCompleted;
+
+    if (changed && !dryRun) {
+        await updateEnrollment(enrollment.id, {
+            percent_complete: progress.percentComplete,
+            is_completed: progress.isCompleted
+        });
+    }
+
+    return {
+        enrollmentId: enrollment.id,
+        previous: {percentComplete: enrollment.percent_complete, isCompleted: Boolean(enrollment.is_completed)},
+        ...progress,
+        changed
+    };
+}
+
+// Reads an enrollment and its course, then recomputes and stores its progress
+export async function recalculateProgress(enrollmentId, {dryRun = false} = {}) {
+    const enrollment = await getEnrollment(enrollmentId, {
+        fields: ['id', 'percent_complete', 'is_completed', 'course.id', 'lessons_completed.lms_lessons_id']
+    });
+    const course = await getCourse(enrollment.course.id, {fields: COURSE_LESSON_FIELDS});
+    return storeProgress(enrollment, course, getCompletedLessonIds(enrollment), {dryRun});
+}
@@ -0,0 +1,216 @@
+// Quiz grading. Lessons store their quiz as a JSON array of questions keyed by
+// question_key. The answer fields never leave the server and submissions are
+// graded here. Supported question types (`type`, "single" when missing):
+//
+//   single        choices: [{choice, text}], answer: "b"
+//   multiple      choices: [{choice, text}], answer: ["a", "c"]
+//   true_false    answer: true | false
+//   short_answer  accepted_answers: ["Paris"], answer_pattern: "^paris( france)?$"
+//                 (either or both; case_sensitive: true to match case exactly)
+//   ordering      choices: [{choice, text}], answer: ["c", "a", "b"]
+//
+// Lessons can draw quiz_question_count questions from a larger bank, shuffle
+// questions and choices (quiz_shuffle) and set a time limit in minutes
+// (quiz_time_limit). The draw is made from a per-attempt seed, so the same
+// seed always rebuilds the same quiz for grading and review.
+
+import {createRandom, shuffle} from './random.js';
+
+// Percentage needed to pass when a lesson has no quiz_pass_threshold of its own
+export const DEFAULT_PASS_THRESHOLD = 70;
+
+const MAX_SHORT_ANSWER_LENGTH = 500;
+
+// Fields that reveal the answer and must be removed before sending a question out
+const ANSWER_FIELDS = ['answer', 'accepted_answers', 'answer_pattern', 'case_sensitive'];
+
+const choiceIds = (question) => (question.choices || []).map(choice => choice.choice);
+
+const sameMembers = (a, b) => a.length === b.length && a.every(item => b.includes(item)) && b.every(item => a.includes(item));
+
+const normalizeText = (text, caseSensitive) => {
+    const collapsed = String(text).trim().replace(/\s+/g, ' ');
+    return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+const toBoolean = (value) => value === true || value === 'true';
+
+// Each type validates the shape of a submitted value (returning an error
+// message or null), grades it and reports the answer to show afterwards
+const QUESTION_TYPES = {
+    single: {
+        validate: (question, value) =>
+            choiceIds(question).includes(value) ? null : 'must be one of the choices',
+        grade: (question, value) => value === question.answer,
+        correctAnswer: (question) => question.answer
+    },
+    multiple: {
+        validate: (question, value) => {
+            const ids = choiceIds(question);
+            if (!Array.isArray(value) || !value.every(item => ids.includes(item))) {
+                return 'must be a list of choices';
+            }
+            return new Set(value).size === value.length ? null : 'must not repeat a choice';
+        },
+        grade: (question, value) => sameMembers(value, [].concat(question.answer ?? [])),
+        correctAnswer: (question) => [].concat(question.answer ?? [])
+    },
+    true_false: {
+        validate: (question, value) =>
+            [true, false, 'true', 'false'].includes(value) ? null : 'must be true or false',
+        grade: (question, value) => toBoolean(value) === toBoolean(question.answer),
+        correctAnswer: (question) => toBoolean(question.answer)
+    },
+    short_answer: {
+        validate: (question, value) => {
+            if (typeof value !== 'string') return 'must be text';
+            return value.length <= MAX_SHORT_ANSWER_LENGTH
+                ? null
+                : `must be at most ${MAX_SHORT_ANSWER_LENGTH} characters`;
+        },
+        grade: (question, value, report) => {
+            const caseSensitive = Boolean(question.case_sensitive);
+            const given = normalizeText(value, caseSensitive);
+            if (!given) return false;
+            const accepted = (question.accepted_answers || []).map(answer => normalizeText(answer, caseSensitive));
+            if (accepted.includes(given)) return true;
+            if (!question.answer_pattern) return false;
+            try {
+                return new RegExp(question.answer_pattern, caseSensitive ? '' : 'i').test(given);
+            } catch (error) {
+                // An editor's mistake should not cost the learner the whole quiz
+                report(`Invalid answer_pattern: ${error.message}`);
+                return false;
+            }
+        },
+        correctAnswer: (question) => question.accepted_answers?.[0] ?? null
+    },
+    ordering: {
+        validate: (question, value) =>
+            Array.isArray(value) && value.length === choiceIds(question).length && sameMembers(value, choiceIds(question))
+                ? null
+                : 'must list every item exactly once',
+        grade: (question, value) => {
+            const answer = [].concat(question.answer ?? []);
+            return answer.length === value.length && answer.every((item, index) => item === value[index]);
+        },
+        correctAnswer: (question) => [].concat(question.answer ?? [])
+    }
+};
+
+export const QUESTION_TYPE_NAMES = Object.keys(QUESTION_TYPES);
+
+export function getQuestionType(question) {
+    return question.type || 'single';
+}
+
+function getHandler(question) {
+    const handler = QUESTION_TYPES[getQuestionType(question)];
+    if (!handler) {
+        throw new Error(`Unsupported quiz question type "${question.type}" for question ${question.question_key}`);
+    }
+    return handler;
+}
+
+export function hasQuiz(lesson) {
+    return Array.isArray(lesson?.quiz) && lesson.quiz.length > 0;
+}
+
+export function getPassThreshold(lesson) {
+    const threshold = Number(lesson?.quiz_pass_threshold);
+    return lesson?.quiz_pass_threshold != null && Number.isFinite(threshold)
+        ? Math.min(Math.max(threshold, 0), 100)
+        : DEFAULT_PASS_THRESHOLD;
+}
+
+export function getQuizSettings(lesson) {
+    const bankSize = hasQuiz(lesson) ? lesson.quiz.length : 0;
+    const questionCount = Math.floor(Number(lesson?.quiz_question_count));
+    const timeLimitMinutes = Number(lesson?.quiz_time_limit);
+    return {
+        questionCount: questionCount > 0 ? Math.min(questionCount, bankSize) : bankSize,
+        shuffle: Boolean(lesson?.quiz_shuffle),
+        timeLimitSeconds: timeLimitMinutes > 0 ? Math.round(timeLimitMinutes * 60) : null
+    };
+}
+
+// The questions, in order, that an attempt with this seed is given. Ordering
+// items are always shuffled, since the authored order may be the answer.
+export function buildAttemptQuiz(lesson, seed) {
+    const {questionCount, shuffle: shuffleAll} = getQuizSettings(lesson);
+    const random = createRandom(seed);
+
+    let questions = lesson.quiz;
+    if (questionCount < questions.length) {
+        // Draw from the bank but keep the authored order unless shuffling
+        const drawn = new Set(shuffle(questions, random).slice(0, questionCount));
+        questions = questions.filter(question => drawn.has(question));
+    }
+    if (shuffleAll) {
+        questions = shuffle(questions, random);
+    }
+
+    return questions.map(question => {
+        const shuffleChoices = shuffleAll || getQuestionType(question) === 'ordering';
+        return shuffleChoices && Array.isArray(question.choices)
+            ? {...question, choices: shuffle(question.choices, random)}
+            : question;
+    });
+}
+
+// Strips everything a learner could use to look up the answers
+export function toPublicQuiz(quiz) {
+    if (!Array.isArray(quiz)) return null;
+    return quiz.map(question => {
+        const publicQuestion = {...question, type: getQuestionType(question)};
+        ANSWER_FIELDS.forEach(field => delete publicQuestion[field]);
+        return publicQuestion;
+    });
+}
+
+// Returns {[question_key]: message} for answers with the wrong shape.
+// Unanswered questions are allowed and graded as incorrect.
+export function validateAnswers(quiz, selectedAnswers = {}) {
+    const errors = {};
+    quiz.forEach(question => {
+        const value = selectedAnswers[question.question_key];
+        if (value === undefined || value === null) return;
+        const error = getHandler(question).validate(question, value);
+        if (error) errors[question.question_key] = error;
+    });
+    return errors;
+}
+
+// problems lists questions that could not be graded as written, as
+// [{questionKey, message}]; those count as answered wrongly. It is meant for the
+// server's logs, not for the learner.
+export function gradeQuiz(quiz, selectedAnswers = {}) {
+    const results = {};
+    const problems = [];
+    let correctCount = 0;
+
+    quiz.forEach(question => {
+        const handler = getHandler(question);
+        const selected = selectedAnswers[question.question_key] ?? null;
+        const report = message => problems.push({questionKey: question.question_key, message});
+        const correct = selected !== null && handler.grade(question, selected, report);
+        if (correct) correctCount++;
+        results[question.question_key] = {
+            selected,
+            correct,
+            correctAnswer: handler.correctAnswer(question)
+        };
+    });
+
+    return {
+        results,
+        correctCount,
+        totalQuestions: quiz.length,
+        score: quiz.length > 0 ? Math.round((correctCount / quiz.length) * 100) : 0,
+        problems
+    };
+}
+
+export function getBestScore(attempts) {
+    return attempts.length > 0 ? Math.max(...attempts.map(attempt => attempt.score)) : null;
+}
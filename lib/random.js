@@ -0,0 +1,35 @@
+// Deterministic pseudo-random numbers from a string seed, so a randomized quiz
+// can be rebuilt exactly when it is graded or reviewed. Not for security.
+
+// xmur3 string hash, used to turn the seed into a 32-bit state
+function hashSeed(seed) {
+    let h = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+        h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// mulberry32; returns a function yielding floats in [0, 1)
+export function createRandom(seed) {
+    let state = hashSeed(String(seed));
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fisher-Yates; returns a new array
+export function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
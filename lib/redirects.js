@@ -0,0 +1,34 @@
+// Redirect target checks. Pure functions, safe to use in the browser.
+
+// Accepts only same-origin paths such as "/enrollments/12"; anything that a
+// browser could resolve to another host ("//evil.com", "/\\evil.com",
+// "https://...") yields the fallback
+export function safeInternalPath(value, fallback = '/') {
+    if (typeof value !== 'string' || !value.startsWith('/')) return fallback;
+    if (value.startsWith('//') || value.startsWith('/\\')) return fallback;
+    // Control characters and backslashes are normalized away by browsers
+    if (/[\u0000-\u001f\\]/.test(value)) return fallback;
+    return value;
+}
+
+// Enrollment ids are Directus integer or uuid keys
+const ENROLLMENT_PATH = /^\/enrollments\/([A-Za-z0-9-]+)\/?$/;
+
+// Lesson pages are opened with ?callback=<enrollment page URL>. Only a link to
+// an enrollment page on this site is accepted, given as a path or as an
+// absolute URL under siteUrl. Returns {enrollmentId, callbackUrl} with the
+// callback reduced to its path, or null for anything else.
+export function parseEnrollmentCallback(value, siteUrl) {
+    if (typeof value !== 'string' || value === '') return null;
+
+    let url;
+    try {
+        url = new URL(value, siteUrl);
+    } catch {
+        return null;
+    }
+    if (url.origin !== new URL(siteUrl).origin) return null;
+
+    const match = url.pathname.match(ENROLLMENT_PATH);
+    return match ? {enrollmentId: match[1], callbackUrl: `/enrollments/${match[1]}`} : null;
+}
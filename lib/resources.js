@@ -0,0 +1,121 @@
+// Lesson resources: rows of lms_lesson_resources ({lesson, title, sort} and
+// either a Directus `file` or an external `url`), reached through the lesson's
+// `resources` field. Files are downloaded through
+// /api/lessons/[id]/resources/[resourceId] so they can stay private in Directus.
+
+// Relational fields to request with the lesson
+export const LESSON_RESOURCE_FIELDS = [
+    'resources.id',
+    'resources.title',
+    'resources.sort',
+    'resources.url',
+    'resources.file.id',
+    'resources.file.filename_download',
+    'resources.file.type',
+    'resources.file.filesize'
+];
+
+// Checked in order; the first kind matching the MIME type or extension wins
+const FILE_KINDS = [
+    {label: 'PDF', icon: '📕', types: ['application/pdf'], extensions: ['pdf']},
+    {label: 'Document', icon: '📝', types: ['application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml', 'application/vnd.oasis.opendocument.text', 'application/rtf'], extensions: ['doc', 'docx', 'odt', 'rtf']},
+    {label: 'Spreadsheet', icon: '📊', types: ['application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml', 'application/vnd.oasis.opendocument.spreadsheet', 'text/csv'], extensions: ['xls', 'xlsx', 'ods', 'csv']},
+    {label: 'Slides', icon: '📽️', types: ['application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml', 'application/vnd.oasis.opendocument.presentation'], extensions: ['ppt', 'pptx', 'odp', 'key']},
+    {label: 'Archive', icon: '🗜️', types: ['application/zip', 'application/x-zip-compressed', 'application/x-7z-compressed', 'application/x-tar', 'application/gzip'], extensions: ['zip', '7z', 'tar', 'gz', 'tgz']},
+    {label: 'Image', icon: '🖼️', types: ['image/'], extensions: ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp']},
+    {label: 'Video', icon: '🎬', types: ['video/'], extensions: ['mp4', 'mov', 'webm', 'mkv']},
+    {label: 'Audio', icon: '🎧', types: ['audio/'], extensions: ['mp3', 'wav', 'ogg', 'm4a']},
+    {label: 'Text', icon: '📄', types: ['text/'], extensions: ['txt', 'md']}
+];
+
+const DEFAULT_FILE_KIND = {label: 'File', icon: '📎'};
+const LINK_KIND = {label: 'Link', icon: '🔗'};
+
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+export function getFileKind(type, filename) {
+    const mimeType = (type || '').toLowerCase();
+    const extension = (filename || '').includes('.') ? filename.split('.').pop().toLowerCase() : '';
+    const kind = FILE_KINDS.find(candidate =>
+        candidate.types.some(prefix => mimeType.startsWith(prefix)) || candidate.extensions.includes(extension));
+    return kind ? {label: kind.label, icon: kind.icon} : DEFAULT_FILE_KIND;
+}
+
+export function formatFileSize(bytes) {
+    const size = Number(bytes);
+    if (!Number.isFinite(size) || size < 0) return null;
+    let value = size;
+    let unit = 0;
+    while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 || value >= 10 ? Math.round(value) : value.toFixed(1)} ${SIZE_UNITS[unit]}`;
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Sorted props for the lesson page: {id, title, kind: 'file' | 'url' | null,
+// href, typeLabel, icon, size, external}. Rows with neither a file nor a usable
+// URL are listed without a link. File links are completed with the learner's
+// enrollment by getResourceHref.
+export function formatResources(resources, {lessonId}) {
+    if (!Array.isArray(resources)) return [];
+    return [...resources]
+        .sort((a, b) => (a.sort || 0) - (b.sort || 0))
+        .map((resource, index) => {
+            const id = resource.id ?? index;
+            const file = resource.file && typeof resource.file === 'object' ? resource.file : null;
+
+            if (file) {
+                const kind = getFileKind(file.type, file.filename_download);
+                return {
+                    id,
+                    title: resource.title || file.filename_download || 'Download',
+                    kind: 'file',
+                    href: `/api/lessons/${encodeURIComponent(lessonId)}/resources/${encodeURIComponent(id)}`,
+                    typeLabel: kind.label,
+                    icon: kind.icon,
+                    size: formatFileSize(file.filesize),
+                    external: false
+                };
+            }
+
+            if (isHttpUrl(resource.url)) {
+                return {
+                    id,
+                    title: resource.title || new URL(resource.url).hostname,
+                    kind: 'url',
+                    href: resource.url,
+                    typeLabel: LINK_KIND.label,
+                    icon: LINK_KIND.icon,
+                    size: null,
+                    external: true
+                };
+            }
+
+            return {
+                id,
+                title: resource.title || 'Resource',
+                kind: null,
+                href: null,
+                typeLabel: null,
+                icon: DEFAULT_FILE_KIND.icon,
+                size: null,
+                external: false
+            };
+        });
+}
+
+// Downloads are checked against the enrollment the lesson was opened from
+export function getResourceHref(resource, enrollmentId) {
+    return resource.kind === 'file' && enrollmentId
+        ? `${resource.href}?enrollmentId=${encodeURIComponent(enrollmentId)}`
+        : resource.href;
+}
@@ -0,0 +1,53 @@
+// Whether a learner may open a lesson yet: modules released on a drip schedule
+// (schedule.js) and lessons locked behind prerequisites (courses.js). Lesson
+// pages are static and only carry lessons open to everyone, so this is
+// checked wherever a lesson's learner data is served or changed: its state
+// endpoint, completions, quizzes, downloads and video progress.
+
+import {getCachedCourse} from './catalog.js';
+import {COURSE_OUTLINE_FIELDS, COURSE_UNLOCK_FIELDS, describeLock, getLessonLocks} from './courses.js';
+import {getCompletedLessonIds} from './progress.js';
+import {COURSE_SCHEDULE_FIELDS, formatReleaseDate, getUnreleasedLessons} from './schedule.js';
+
+// Course fields getLessonRestrictions reads. The enrollment page asks for the
+// same list, so every caller shares one cache entry per course.
+export const RESTRICTION_COURSE_FIELDS = [...COURSE_OUTLINE_FIELDS, ...COURSE_UNLOCK_FIELDS, ...COURSE_SCHEDULE_FIELDS];
+
+// Enrollment fields checkLessonRestriction reads
+export const RESTRICTION_ENROLLMENT_FIELDS = ['date_created', 'course.id', 'lessons_completed.lms_lessons_id'];
+
+// Lessons the learner cannot open yet, as a Map from lesson id (a string) to
+// {opensAt, requires, message}. opensAt is set for lessons not released yet
+// and requires for locked ones; message is what the learner is shown.
+export function getLessonRestrictions(course, enrollment, completedLessonIds) {
+    const restrictions = new Map();
+    for (const [lessonId, requires] of getLessonLocks(course, completedLessonIds)) {
+        restrictions.set(lessonId, {opensAt: null, requires, message: `This lesson is locked. ${describeLock(requires)}.`});
+    }
+    // The release date is the first thing standing in the way
+    for (const [lessonId, opensAt] of getUnreleasedLessons(course, enrollment, completedLessonIds)) {
+        restrictions.set(lessonId, {
+            opensAt,
+            requires: restrictions.get(lessonId)?.requires || null,
+            message: `This lesson opens on ${formatReleaseDate(opensAt)}.`
+        });
+    }
+    return restrictions;
+}
+
+// Whether no learner can be kept out of the lesson: it is not locked for one
+// who has completed nothing and not waiting on a release date for one who
+// enrolls now. Its lesson page can then carry the lesson in full.
+export function isLessonOpenToAll(course, lessonId, now = new Date()) {
+    const id = String(lessonId);
+    return !getLessonLocks(course, []).has(id)
+        && !getUnreleasedLessons(course, {date_created: now.toISOString()}, [], now).has(id);
+}
+
+// The restriction on one lesson for an enrollment read with
+// RESTRICTION_ENROLLMENT_FIELDS, or null when the learner may open it
+export async function checkLessonRestriction(enrollment, lessonId) {
+    const course = await getCachedCourse(enrollment.course.id, {fields: RESTRICTION_COURSE_FIELDS});
+    const completedLessonIds = getCompletedLessonIds(enrollment).map(String);
+    return getLessonRestrictions(course, enrollment, completedLessonIds).get(String(lessonId)) || null;
+}
@@ -0,0 +1,68 @@
+// Drip scheduling. A module opens release_after_days days after the learner
+// enrolled (enrollment.date_created), on its fixed release_date, or at the later
+// of the two when both are set. Modules with neither are open from the start.
+// Pure functions, safe in the browser.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields getUnreleasedLessons reads on the course
+export const COURSE_SCHEDULE_FIELDS = [
+    'modules.id',
+    'modules.release_after_days',
+    'modules.release_date',
+    'modules.lessons.id'
+];
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// When the module opens for a learner who enrolled at enrolledAt, or null
+// when it is not scheduled
+export function getModuleReleaseDate(module, enrolledAt) {
+    const times = [];
+    const days = Number(module.release_after_days);
+    const enrolled = parseDate(enrolledAt);
+    if (days > 0 && enrolled) {
+        times.push(enrolled.getTime() + days * DAY_MS);
+    }
+    const fixed = parseDate(module.release_date);
+    if (fixed) {
+        times.push(fixed.getTime());
+    }
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// Lessons of the course that have not opened yet for the enrollment, as a Map
+// from lesson id (a string) to the ISO time they open. Lessons already
+// completed stay open if the schedule moves later.
+export function getUnreleasedLessons(course, enrollment, completedLessonIds = [], now = new Date()) {
+    const completed = new Set(completedLessonIds.map(String));
+    const unreleased = new Map();
+    for (const module of course.modules || []) {
+        const releaseDate = getModuleReleaseDate(module, enrollment.date_created);
+        if (!releaseDate || releaseDate <= now) continue;
+        for (const lesson of module.lessons || []) {
+            if (!completed.has(String(lesson.id))) {
+                unreleased.set(String(lesson.id), releaseDate.toISOString());
+            }
+        }
+    }
+    return unreleased;
+}
+
+// Release times in messages built on the server, which has no idea of the
+// learner's time zone
+export function formatReleaseDate(isoDate) {
+    return new Date(isoDate).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: 'UTC',
+        timeZoneName: 'short'
+    });
+}
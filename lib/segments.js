@@ -0,0 +1,82 @@
+// Watched parts of a video as sorted, non-overlapping [start, end] pairs in
+// seconds. Pure functions, used by the player in the browser and to merge and
+// check saved progress on the server.
+
+// Saved progress is rejected beyond these limits
+export const MAX_SEGMENTS = 500;
+export const MAX_DURATION_SECONDS = 24 * 60 * 60;
+
+// Gaps this small (rounding between time updates) are treated as watched
+const JOIN_TOLERANCE_SECONDS = 1;
+
+export function mergeSegments(segments) {
+    const sorted = [...segments].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [start, end] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1] + JOIN_TOLERANCE_SECONDS) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    }
+    return merged;
+}
+
+export function addSegment(segments, start, end) {
+    return end > start ? mergeSegments([...segments, [start, end]]) : segments;
+}
+
+export function getWatchedSeconds(segments) {
+    return segments.reduce((total, [start, end]) => total + (end - start), 0);
+}
+
+// Whole percent; the last second counts as watched, since players often stop
+// reporting just short of the end
+export function getPercentWatched(segments, duration) {
+    if (!(duration > 0)) return 0;
+    const watched = getWatchedSeconds(segments);
+    if (watched >= duration - JOIN_TOLERANCE_SECONDS) return 100;
+    return Math.min(100, Math.floor((watched / duration) * 100));
+}
+
+// Adds the parts of added that segments do not cover yet, earliest first,
+// until maxSeconds of new watching have been credited. Both lists must be
+// normalized.
+export function addWatchedSeconds(segments, added, maxSeconds) {
+    let budget = maxSeconds;
+    const credited = [];
+    const credit = (start, end) => {
+        const seconds = Math.min(end - start, budget);
+        if (seconds <= 0) return;
+        credited.push([start, start + seconds]);
+        budget -= seconds;
+    };
+    for (const [start, end] of added) {
+        let from = start;
+        for (const [watchedStart, watchedEnd] of segments) {
+            if (watchedEnd <= from) continue;
+            if (watchedStart >= end) break;
+            credit(from, watchedStart);
+            from = watchedEnd;
+        }
+        if (from < end) credit(from, end);
+    }
+    return mergeSegments([...segments, ...credited]);
+}
+
+// Checks segments sent by a browser and clamps them to the video; returns
+// null when they are not a list of [start, end] number pairs
+export function normalizeSegments(value, duration) {
+    if (!Array.isArray(value) || value.length > MAX_SEGMENTS) return null;
+    const segments = [];
+    for (const segment of value) {
+        if (!Array.isArray(segment) || segment.length !== 2 || !segment.every(Number.isFinite)) {
+            return null;
+        }
+        const start = Math.max(0, segment[0]);
+        const end = Math.min(duration, segment[1]);
+        if (end > start) segments.push([start, end]);
+    }
+    return mergeSegments(segments);
+}
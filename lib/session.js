@@ -0,0 +1,109 @@
+// The session cookie holds the Directus token pair and a copy of the signed-in
+// user, encrypted with AES-256-GCM under SESSION_SECRET. It is httpOnly so
+// page scripts never see the tokens.
+
+import {createCipheriv, createDecipheriv, createHash, randomBytes} from 'crypto';
+import {refresh} from './auth.js';
+import {getConfig} from './config.js';
+import {logger} from './logger.js';
+
+export const SESSION_COOKIE = 'lms_session';
+
+// Matches the Directus default refresh token lifetime
+const SESSION_MAX_AGE_SECONDS = 7 * 24 * 60 * 60;
+
+// Refresh a little early so a token does not expire mid-request
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Directus rotates the refresh token, so of two requests refreshing with the
+// same one, the slower would be turned away and sign the learner out. Requests
+// in this process share one refresh per token, and those arriving shortly
+// after with the old cookie reuse its result. Lives on globalThis for the same
+// reason as lib/cache.js: pages and API routes each bundle this module.
+const REFRESHES = Symbol.for('lms.sessionRefreshes');
+const REFRESH_REUSE_MS = 30 * 1000;
+
+function refreshOnce(refreshToken) {
+    const refreshes = globalThis[REFRESHES] || (globalThis[REFRESHES] = new Map());
+    const key = createHash('sha256').update(refreshToken).digest('base64url');
+    if (!refreshes.has(key)) {
+        const pending = refresh(refreshToken);
+        refreshes.set(key, pending);
+        pending.then(
+            () => setTimeout(() => refreshes.delete(key), REFRESH_REUSE_MS).unref(),
+            () => refreshes.delete(key)
+        );
+    }
+    return refreshes.get(key);
+}
+
+function getKey() {
+    return createHash('sha256').update(getConfig().sessionSecret).digest();
+}
+
+export function seal(payload) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+// Returns null for anything that was not sealed with the current secret
+export function unseal(value) {
+    try {
+        const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = createDecipheriv('aes-256-gcm', getKey(), iv);
+        decipher.setAuthTag(tag);
+        return JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
+    } catch {
+        return null;
+    }
+}
+
+function serializeCookie(value, maxAge) {
+    const secure = getConfig().publicUrl.startsWith('https:');
+    return [
+        `${SESSION_COOKIE}=${value}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        `Max-Age=${maxAge}`,
+        ...(secure ? ['Secure'] : [])
+    ].join('; ');
+}
+
+export function setSessionCookie(res, {tokens, user}) {
+    res.setHeader('Set-Cookie', serializeCookie(seal({...tokens, user}), SESSION_MAX_AGE_SECONDS));
+}
+
+export function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', serializeCookie('', 0));
+}
+
+export function readSession(req) {
+    const value = req.cookies?.[SESSION_COOKIE];
+    return value ? unseal(value) : null;
+}
+
+// Returns {user, accessToken, refreshToken} for the signed-in user, or null.
+// Refreshes an expiring access token and rewrites the cookie on `res`.
+export async function getSession(req, res) {
+    const session = readSession(req);
+    if (!session?.refreshToken || !session.user) {
+        return null;
+    }
+
+    if (session.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+        return session;
+    }
+
+    try {
+        const refreshed = await refreshOnce(session.refreshToken);
+        setSessionCookie(res, refreshed);
+        return {...refreshed.tokens, user: refreshed.user};
+    } catch (error) {
+        logger.error('Failed to refresh session', {error});
+        clearSessionCookie(res);
+        return null;
+    }
+}
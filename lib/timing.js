@@ -0,0 +1,35 @@
+// Server-Timing header entries for the upstream calls made while answering one
+// request, so their latency shows up in the browser's network panel.
+
+// Metric names are HTTP tokens; anything else is replaced
+const toToken = name => String(name).replace(/[^A-Za-z0-9!#$%&'*+.^_`|~-]/g, '-');
+
+export function createServerTiming() {
+    const entries = [];
+
+    return {
+        // Runs work() and records how long it took, whether or not it succeeds
+        async measure(name, work, description) {
+            const start = performance.now();
+            try {
+                return await work();
+            } finally {
+                entries.push({name: toToken(name), duration: performance.now() - start, description});
+            }
+        },
+
+        header() {
+            return entries
+                .map(({name, duration, description}) =>
+                    `${name};dur=${duration.toFixed(1)}${description ? `;desc="${description.replace(/["\\]/g, '')}"` : ''}`)
+                .join(', ');
+        },
+
+        // Call before the response is sent; recorded entries are dropped otherwise
+        apply(res) {
+            if (entries.length > 0 && !res.headersSent) {
+                res.setHeader('Server-Timing', this.header());
+            }
+        }
+    };
+}
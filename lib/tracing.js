@@ -0,0 +1,78 @@
+// Request IDs for API routes and page data functions. Each request gets one,
+// taken from the caller when it sends a usable X-Request-Id, and it is echoed
+// back on the response, attached to every log entry and sent on to Directus.
+
+import {randomUUID} from 'node:crypto';
+import {elapsedMs, logger, runWithRequestId} from './logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming IDs end up in log lines and upstream headers, so keep them plain
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+export function resolveRequestId(req) {
+    // Netlify tags every function invocation; reuse it so both logs line up
+    for (const name of ['x-request-id', 'x-nf-request-id']) {
+        const value = req?.headers?.[name];
+        if (typeof value === 'string' && VALID_REQUEST_ID.test(value)) return value;
+    }
+    return randomUUID();
+}
+
+// Path without the query string, which may carry callback URLs or tokens
+const routePath = req => (req.url || '').split('?')[0];
+
+function traceRequest(req, res, work) {
+    const requestId = resolveRequestId(req);
+    if (res && !res.headersSent) res.setHeader(REQUEST_ID_HEADER, requestId);
+    return runWithRequestId(requestId, work);
+}
+
+// Wraps an API route so it runs with a request ID and logs how it was answered
+export function withApiLogging(handler) {
+    return (req, res) => traceRequest(req, res, async () => {
+        const start = performance.now();
+        try {
+            return await handler(req, res);
+        } catch (error) {
+            logger.error('Unhandled error in API route', {method: req.method, path: routePath(req), error});
+            throw error;
+        } finally {
+            logger.info('API request', {
+                method: req.method,
+                path: routePath(req),
+                status: res.statusCode,
+                durationMs: elapsedMs(start)
+            });
+        }
+    });
+}
+
+function pageStatus(result, res) {
+    if (result?.notFound) return 404;
+    if (result?.redirect) return result.redirect.statusCode || (result.redirect.permanent ? 308 : 307);
+    return res?.statusCode ?? 200;
+}
+
+// Wraps getServerSideProps (or getStaticProps, which has no request and so
+// always gets a fresh ID) and logs the page load with its duration
+export function withPageLogging(page, getProps) {
+    return context => traceRequest(context.req, context.res, async () => {
+        const start = performance.now();
+        let result;
+        try {
+            result = await getProps(context);
+            return result;
+        } catch (error) {
+            logger.error('Unhandled error loading page', {page, params: context.params, error});
+            throw error;
+        } finally {
+            logger.info(context.req ? 'Page load' : 'Page generated', {
+                page,
+                params: context.params,
+                status: result ? pageStatus(result, context.res) : 500,
+                durationMs: elapsedMs(start)
+            });
+        }
+    });
+}
@@ -0,0 +1,136 @@
+// Describes a lesson's video for components/VideoPlayer.js. A lesson either
+// links a hosted video (video_type "url" with video_url) or has one uploaded
+// to Directus (video_type "file" with video_file), optionally with WebVTT
+// captions in video_captions: [{file, srclang, label, default}]. Lessons may
+// set video_min_watch_percent to require watching part of the video before
+// they can be completed; that needs the video's length in video_duration, or
+// the uploaded file's duration in Directus.
+
+import {toEmbed, VIDEO_PROVIDERS} from './embeds.js';
+
+// Relational fields to request on top of the lesson's own
+export const VIDEO_FILE_FIELDS = ['video_file.id', 'video_file.type', 'video_file.duration'];
+
+// Lesson fields getLessonVideo and getMinimumWatchPercent read
+export const LESSON_VIDEO_FIELDS = [
+    'video_type',
+    'video_url',
+    'video_file',
+    'video_captions',
+    'video_duration',
+    'video_min_watch_percent'
+];
+
+// Players whose position the lesson page can follow
+const TRACKED_PROVIDERS = ['youtube', 'vimeo'];
+
+// Links straight to a video file play in the browser's own player
+const DIRECT_VIDEO_TYPES = {
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    webm: 'video/webm',
+    ogv: 'video/ogg'
+};
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const assetUrl = (directusUrl, fileId) => `${directusUrl}/assets/${encodeURIComponent(fileId)}`;
+
+function parseHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+    } catch {
+        return null;
+    }
+}
+
+// Captions are Directus files on another origin, which browsers only load for
+// a video fetched with CORS. That is only asked for when the video comes from
+// Directus as well: a host that does not send CORS headers would refuse the
+// video itself, so direct links elsewhere play without captions.
+function fileVideo(src, mimeType, lesson, directusUrl) {
+    const fromDirectus = new URL(src).origin === new URL(directusUrl).origin;
+    const captions = fromDirectus ? getCaptions(lesson.video_captions, directusUrl) : [];
+    return {
+        kind: 'file',
+        src,
+        mimeType,
+        captions,
+        crossOrigin: captions.length > 0 ? 'anonymous' : null,
+        trackable: true
+    };
+}
+
+// Caption rows without a file are skipped; only the first default one counts
+function getCaptions(captions, directusUrl) {
+    if (!Array.isArray(captions)) return [];
+    let hasDefault = false;
+    return captions
+        .filter(caption => caption?.file)
+        .map(caption => {
+            const srclang = LANGUAGE_TAG.test(caption.srclang || '') ? caption.srclang : 'en';
+            const isDefault = Boolean(caption.default) && !hasDefault;
+            if (isDefault) hasDefault = true;
+            return {
+                src: assetUrl(directusUrl, caption.file?.id ?? caption.file),
+                srclang,
+                label: caption.label || srclang,
+                default: isDefault
+            };
+        });
+}
+
+// Returns one of
+//   {kind: 'embed', provider, title, src, sandbox, allow, trackable}
+//   {kind: 'file', src, mimeType, captions, crossOrigin, trackable: true}
+//   {kind: 'unsupported', url, trackable: false}   url is null unless it is a safe http(s) link
+// or null when the lesson has no video
+export function getLessonVideo(lesson, directusUrl) {
+    if (lesson.video_type === 'file') {
+        const fileId = lesson.video_file?.id ?? lesson.video_file;
+        if (!fileId) return null;
+        return fileVideo(assetUrl(directusUrl, fileId), lesson.video_file?.type || null, lesson, directusUrl);
+    }
+
+    if (!lesson.video_url) return null;
+
+    const embed = toEmbed(lesson.video_url);
+    if (embed && VIDEO_PROVIDERS.includes(embed.provider)) {
+        // A playlist moves on to other videos, so it has no single position
+        const trackable = TRACKED_PROVIDERS.includes(embed.provider) && !embed.playlist;
+        return {kind: 'embed', ...embed, trackable};
+    }
+
+    const url = parseHttpUrl(lesson.video_url);
+    const extension = url?.pathname.split('.').pop().toLowerCase();
+    if (url && DIRECT_VIDEO_TYPES[extension]) {
+        return fileVideo(url.toString(), DIRECT_VIDEO_TYPES[extension], lesson, directusUrl);
+    }
+
+    return {kind: 'unsupported', url: url ? url.toString() : null, trackable: false};
+}
+
+// 0 when the lesson does not require watching its video
+export function getMinimumWatchPercent(lesson) {
+    const percent = Math.round(Number(lesson?.video_min_watch_percent));
+    return percent > 0 ? Math.min(percent, 100) : 0;
+}
+
+// The video's length in seconds, as the lesson or the uploaded file records
+// it, or null when neither does. Watch progress is measured against this
+// rather than the length the browser reports.
+export function getVideoDuration(lesson) {
+    for (const value of [lesson?.video_duration, lesson?.video_file?.duration]) {
+        const seconds = Number(value);
+        if (value != null && Number.isFinite(seconds) && seconds > 0) return seconds;
+    }
+    return null;
+}
+
+// Only videos the player can follow and whose length is known are held to the
+// minimum, so a lesson with an untracked video never becomes impossible to
+// complete
+export function isWatchRequired(lesson, video) {
+    return Boolean(video?.trackable) && getVideoDuration(lesson) !== null && getMinimumWatchPercent(lesson) > 0;
+}
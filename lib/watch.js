@@ -0,0 +1,70 @@
+// Video watch progress, one lms_video_progress row per enrollment and lesson:
+// {enrollment, lesson, segments, position, duration, percent_watched, saved_at}.
+// segments is the JSON list of watched [start, end] ranges from lib/segments.js.
+
+import {createItem, hasErrorCode, listItems, updateItem} from './directus.js';
+import {addWatchedSeconds, getPercentWatched} from './segments.js';
+
+const COLLECTION = 'lms_video_progress';
+
+export const WATCH_PROGRESS_FIELDS = ['id', 'segments', 'position', 'duration', 'percent_watched', 'saved_at'];
+
+// Players offer speeds up to 2x, so a save can credit at most twice the time
+// since the one before. Browsers save every 15 seconds; the first save of a
+// lesson is allowed this much.
+const MAX_PLAYBACK_RATE = 2;
+const FIRST_SAVE_SECONDS = 30;
+
+export async function getWatchProgress(enrollmentId, lessonId) {
+    const rows = await listItems(COLLECTION, {
+        fields: WATCH_PROGRESS_FIELDS,
+        filter: {enrollment: {_eq: enrollmentId}, lesson: {_eq: lessonId}},
+        sort: ['id'],
+        limit: 1
+    });
+    return rows[0] || null;
+}
+
+// The row's new values: segments watched since the last save are added, no
+// faster than the video could have played, so a stale tab can never shrink the
+// progress and a made-up one cannot fill it in at once
+function mergeProgress(existing, {segments, position, duration}, now) {
+    const lastSavedAt = Date.parse(existing?.saved_at);
+    const elapsedSeconds = Number.isFinite(lastSavedAt)
+        ? Math.max(0, (now.getTime() - lastSavedAt) / 1000)
+        : FIRST_SAVE_SECONDS;
+    const merged = addWatchedSeconds(existing?.segments || [], segments, elapsedSeconds * MAX_PLAYBACK_RATE);
+    return {
+        segments: merged,
+        position,
+        duration,
+        percent_watched: duration ? getPercentWatched(merged, duration) : null,
+        saved_at: now.toISOString()
+    };
+}
+
+// Saves progress for a video of the given duration (null when unknown, which
+// keeps the position for resuming but records no percentage). segments must
+// already be normalized. The unique (enrollment, lesson) index (see README)
+// turns away a second row; the save is then added to the row that won. Two
+// updates at once may still drop one's segments, which the browser sends
+// again with its next save.
+export async function saveWatchProgress(enrollmentId, lessonId, progress, now = new Date()) {
+    const query = {fields: WATCH_PROGRESS_FIELDS};
+    const existing = await getWatchProgress(enrollmentId, lessonId);
+    if (existing) {
+        return updateItem(COLLECTION, existing.id, mergeProgress(existing, progress, now), {query});
+    }
+
+    try {
+        return await createItem(COLLECTION, {
+            enrollment: enrollmentId,
+            lesson: lessonId,
+            ...mergeProgress(null, progress, now)
+        }, {query});
+    } catch (error) {
+        if (!hasErrorCode(error, 'RECORD_NOT_UNIQUE')) throw error;
+        const current = await getWatchProgress(enrollmentId, lessonId);
+        return updateItem(COLLECTION, current.id, mergeProgress(current, progress, now), {query});
+    }
+}
@@ -0,0 +1,33 @@
+import {login} from '@lib/auth';
+import {DirectusError} from '@lib/directus';
+import {logger} from '@lib/logger';
+import {setSessionCookie} from '@lib/session';
+import {withApiLogging} from '@lib/tracing';
+
+// POST /api/auth/login  {email, password}
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({error: `Method ${req.method} not allowed`});
+    }
+
+    const {email, password} = req.body || {};
+    if (!email || !password) {
+        return res.status(400).json({error: 'Email and password are required'});
+    }
+
+    try {
+        const session = await login(email, password);
+        setSessionCookie(res, session);
+        return res.status(200).json({user: session.user});
+    } catch (error) {
+        // Directus answers 401 for a wrong email or password
+        if (error instanceof DirectusError && error.status === 401) {
+            return res.status(401).json({error: 'Invalid email or password'});
+        }
+        logger.error('Login failed', {error});
+        return res.status(500).json({error: 'Sign in failed, please try again'});
+    }
+}
+
+export default withApiLogging(handler);
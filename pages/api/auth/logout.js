@@ -0,0 +1,27 @@
+import {logout} from '@lib/auth';
+import {logger} from '@lib/logger';
+import {clearSessionCookie, readSession} from '@lib/session';
+import {withApiLogging} from '@lib/tracing';
+
+// POST /api/auth/logout
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({error: `Method ${req.method} not allowed`});
+    }
+
+    const session = readSession(req);
+    clearSessionCookie(res);
+
+    if (session?.refreshToken) {
+        try {
+            await logout(session.refreshToken);
+        } catch (error) {
+            // The cookie is gone either way; the token will simply expire
+            logger.error('Directus logout failed', {error});
+        }
+    }
+    return res.status(204).end();
+}
+
+export default withApiLogging(handler);
@@ -0,0 +1,31 @@
+import {refresh} from '@lib/auth';
+import {logger} from '@lib/logger';
+import {clearSessionCookie, readSession, setSessionCookie} from '@lib/session';
+import {withApiLogging} from '@lib/tracing';
+
+// POST /api/auth/refresh
+// Pages and API routes refresh the session on their own; this is for client
+// views that stay open longer than an access token lives.
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({error: `Method ${req.method} not allowed`});
+    }
+
+    const session = readSession(req);
+    if (!session?.refreshToken) {
+        return res.status(401).json({error: 'Not signed in'});
+    }
+
+    try {
+        const refreshed = await refresh(session.refreshToken);
+        setSessionCookie(res, refreshed);
+        return res.status(200).json({user: refreshed.user});
+    } catch (error) {
+        logger.error('Failed to refresh session', {error});
+        clearSessionCookie(res);
+        return res.status(401).json({error: 'Session expired, please sign in again'});
+    }
+}
+
+export default withApiLogging(handler);
@@ -0,0 +1,45 @@
+import {loadEnrollmentAccess} from '@lib/auth';
+import {addLesson} from '@lib/completions';
+import {elapsedMs, logger} from '@lib/logger';
+import {getSession} from '@lib/session';
+import {withApiLogging} from '@lib/tracing';
+
+const MESSAGES = {
+    200: 'Lesson already completed',
+    201: 'Lesson marked as completed',
+    403: 'This lesson has not opened yet, or is locked until the lessons before it are completed',
+    404: 'Enrollment not found, or the lesson is not part of its course',
+    409: 'Pass the lesson quiz and watch enough of the video before marking it as completed',
+    500: 'Failed to mark lesson as completed'
+};
+
+// POST /api/enrollments/:id/completions  {lessonId}
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({error: `Method ${req.method} not allowed`});
+    }
+
+    const {id} = req.query;
+    const {lessonId} = req.body || {};
+    if (!lessonId) {
+        return res.status(400).json({error: 'lessonId is required'});
+    }
+
+    const session = await getSession(req, res);
+    const access = await loadEnrollmentAccess(session?.user, id);
+    if (access.error) {
+        return res.status(access.status).json({error: access.error});
+    }
+
+    const start = performance.now();
+    const status = await addLesson(id, lessonId, session.user);
+    logger.info('Lesson completion', {enrollmentId: id, lessonId, status, durationMs: elapsedMs(start)});
+    const message = MESSAGES[status] || `Request failed with status ${status}`;
+    if (status >= 400) {
+        return res.status(status).json({error: message});
+    }
+    return res.status(status).json({enrollmentId: id, lessonId, message});
+}
+
+export default withApiLogging(handler);
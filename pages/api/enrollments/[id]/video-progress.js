@@ -0,0 +1,87 @@
+import {isStaff, loadEnrollmentAccess} from '@lib/auth';
+import {getConfig} from '@lib/config';
+import {isLessonInCourse} from '@lib/courses';
+import {getLesson, isNotFoundError} from '@lib/directus';
+import {logger} from '@lib/logger';
+import {checkLessonRestriction, RESTRICTION_ENROLLMENT_FIELDS} from '@lib/restrictions';
+import {MAX_DURATION_SECONDS, normalizeSegments} from '@lib/segments';
+import {getSession} from '@lib/session';
+import {withApiLogging} from '@lib/tracing';
+import {getLessonVideo, getVideoDuration, LESSON_VIDEO_FIELDS, VIDEO_FILE_FIELDS} from '@lib/video';
+import {saveWatchProgress} from '@lib/watch';
+
+// POST /api/enrollments/:id/video-progress
+//   {lessonId, segments: [[start, end], ...], position}
+// Saves how much of a lesson's video the learner has watched. Sent every few
+// seconds while the video plays and when the page is hidden. The video's
+// length comes from the lesson, never from the browser.
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({error: `Method ${req.method} not allowed`});
+    }
+
+    const {id} = req.query;
+    const {lessonId, segments, position} = req.body || {};
+    if (!lessonId) {
+        return res.status(400).json({error: 'lessonId is required'});
+    }
+    if (!Number.isFinite(position)) {
+        return res.status(400).json({error: 'position must be a number of seconds'});
+    }
+    if (!normalizeSegments(segments, MAX_DURATION_SECONDS)) {
+        return res.status(400).json({error: 'segments must be a list of [start, end] pairs'});
+    }
+
+    const session = await getSession(req, res);
+    const access = await loadEnrollmentAccess(session?.user, id, RESTRICTION_ENROLLMENT_FIELDS);
+    if (access.error) {
+        return res.status(access.status).json({error: access.error});
+    }
+
+    let lesson;
+    try {
+        lesson = await getLesson(lessonId, {fields: ['id', 'module.course', ...LESSON_VIDEO_FIELDS, ...VIDEO_FILE_FIELDS]});
+    } catch (error) {
+        if (isNotFoundError(error)) {
+            return res.status(404).json({error: 'Lesson not found'});
+        }
+        logger.error('Error fetching lesson', {error});
+        return res.status(500).json({error: 'Failed to save video progress'});
+    }
+    if (!isLessonInCourse(lesson, access.enrollment)) {
+        return res.status(404).json({error: 'This lesson is not part of the enrolled course'});
+    }
+    if (!getLessonVideo(lesson, getConfig().directusUrl)?.trackable) {
+        return res.status(400).json({error: 'This lesson has no video to track'});
+    }
+    // Staff reviewing an enrollment are not held to its schedule or prerequisites
+    if (!isStaff(session.user)) {
+        let restriction;
+        try {
+            restriction = await checkLessonRestriction(access.enrollment, lesson.id);
+        } catch (error) {
+            logger.error('Error checking lesson restrictions', {error});
+            return res.status(500).json({error: 'Failed to save video progress'});
+        }
+        if (restriction) {
+            return res.status(403).json({error: restriction.message});
+        }
+    }
+
+    const duration = getVideoDuration(lesson);
+    const limit = duration ?? MAX_DURATION_SECONDS;
+    try {
+        const progress = await saveWatchProgress(access.enrollment.id, lesson.id, {
+            segments: normalizeSegments(segments, limit),
+            position: Math.min(Math.max(position, 0), limit),
+            duration
+        });
+        return res.status(200).json(progress);
+    } catch (error) {
+        logger.error('Error saving video progress', {error});
+        return res.status(500).json({error: 'Failed to save video progress'});
+    }
+}
+
+export default withApiLogging(handler);
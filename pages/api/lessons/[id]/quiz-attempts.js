@@ -0,0 +1,49 @@
+import {createSeed, loadQuizContext, startAttempt} from '@lib/attempts';
+import {logger} from '@lib/logger';
+import {buildAttemptQuiz, getQuizSettings, toPublicQuiz} from '@lib/quiz';
+import {getSession} from '@lib/session';
+import {withApiLogging} from '@lib/tracing';
+
+// POST /api/lessons/:id/quiz-attempts  {enrollmentId}
+// Starts an attempt and returns its questions. Staff may leave out the
+// enrollmentId to preview the quiz; that attempt is not recorded and the seed
+// is handed back for grading instead.
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({error: `Method ${req.method} not allowed`});
+    }
+
+    const {id} = req.query;
+    const {enrollmentId} = req.body || {};
+
+    const session = await getSession(req, res);
+    const {status, error, lesson, enrollment} = await loadQuizContext(id, enrollmentId, session?.user);
+    if (error) {
+        return res.status(status).json({error});
+    }
+
+    const {timeLimitSeconds} = getQuizSettings(lesson);
+    const seed = createSeed();
+
+    let attempt = null;
+    if (enrollment) {
+        try {
+            attempt = await startAttempt({enrollmentId: enrollment.id, lessonId: lesson.id, seed, timeLimitSeconds});
+        } catch (err) {
+            logger.error('Error starting quiz attempt', {error: err});
+            return res.status(500).json({error: 'Failed to start quiz'});
+        }
+    }
+
+    return res.status(201).json({
+        attemptId: attempt?.id ?? null,
+        seed: attempt ? null : seed,
+        expiresAt: attempt?.expires_at ?? null,
+        timeLimitSeconds,
+        serverTime: new Date().toISOString(),
+        questions: toPublicQuiz(buildAttemptQuiz(lesson, seed))
+    });
+}
+
+export default withApiLogging(handler);
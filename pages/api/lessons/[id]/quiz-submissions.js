@@ -0,0 +1,102 @@
+import {getAttempt, isAttemptExpired, loadQuizContext, submitAttempt} from '@lib/attempts';
+import {isNotFoundError} from '@lib/directus';
+import {elapsedMs, logger} from '@lib/logger';
+import {buildAttemptQuiz, getPassThreshold, gradeQuiz, validateAnswers} from '@lib/quiz';
+import {getSession} from '@lib/session';
+import {withApiLogging} from '@lib/tracing';
+
+// POST /api/lessons/:id/quiz-submissions
+//   {enrollmentId, attemptId, selectedAnswers: {[question_key]: answer}}
+// Grades the questions of an attempt started through quiz-attempts. For a
+// staff preview without an enrollmentId, pass the `seed` that route returned;
+// nothing is recorded. Which questions were right, and their answers, are
+// only returned once an attempt passes (results is null otherwise), since
+// attempts are unlimited and the next one could copy them.
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({error: `Method ${req.method} not allowed`});
+    }
+
+    const {id} = req.query;
+    const {enrollmentId, attemptId, seed, selectedAnswers} = req.body || {};
+    if (!selectedAnswers || typeof selectedAnswers !== 'object' || Array.isArray(selectedAnswers)) {
+        return res.status(400).json({error: 'selectedAnswers must be an object keyed by question_key'});
+    }
+    if (enrollmentId ? !attemptId : !seed) {
+        return res.status(400).json({error: enrollmentId ? 'attemptId is required' : 'seed is required'});
+    }
+
+    const start = performance.now();
+    const session = await getSession(req, res);
+    const {status, error, lesson, enrollment} = await loadQuizContext(id, enrollmentId, session?.user);
+    if (error) {
+        return res.status(status).json({error});
+    }
+
+    let attempt = null;
+    if (enrollment) {
+        try {
+            attempt = await getAttempt(attemptId);
+        } catch (err) {
+            logger.error('Error fetching quiz attempt', {error: err});
+            return isNotFoundError(err)
+                ? res.status(404).json({error: 'Quiz attempt not found'})
+                : res.status(500).json({error: 'Failed to load quiz attempt'});
+        }
+        if (String(attempt.enrollment) !== String(enrollment.id) || String(attempt.lesson) !== String(lesson.id)) {
+            return res.status(404).json({error: 'Quiz attempt not found'});
+        }
+        if (attempt.submitted_at) {
+            return res.status(409).json({error: 'This attempt has already been submitted'});
+        }
+        if (isAttemptExpired(attempt)) {
+            return res.status(409).json({error: 'The time limit for this attempt has passed'});
+        }
+    }
+
+    const questions = buildAttemptQuiz(lesson, attempt ? attempt.seed : String(seed));
+
+    let graded;
+    let problems;
+    try {
+        const invalidAnswers = validateAnswers(questions, selectedAnswers);
+        if (Object.keys(invalidAnswers).length > 0) {
+            return res.status(400).json({error: 'Some answers are not valid', invalidAnswers});
+        }
+        ({problems, ...graded} = gradeQuiz(questions, selectedAnswers));
+    } catch (err) {
+        // An unsupported question type in the lesson content
+        logger.error('Error grading quiz', {lessonId: lesson.id, error: err});
+        return res.status(500).json({error: 'Failed to grade quiz'});
+    }
+    // Questions an editor got wrong were marked incorrect; the learner is not told
+    problems.forEach(({questionKey, message}) => {
+        logger.error('Quiz question could not be graded', {lessonId: lesson.id, questionKey, problem: message});
+    });
+
+    const passThreshold = getPassThreshold(lesson);
+    const passed = graded.score >= passThreshold;
+
+    if (attempt) {
+        try {
+            attempt = await submitAttempt(attempt.id, {answers: selectedAnswers, graded, passed});
+        } catch (err) {
+            logger.error('Error recording quiz attempt', {error: err});
+            return res.status(500).json({error: 'Failed to save quiz attempt'});
+        }
+    }
+
+    logger.info('Quiz submission', {
+        lessonId: lesson.id,
+        enrollmentId: enrollment?.id ?? null,
+        attemptId: attempt?.id ?? null,
+        score: graded.score,
+        passed,
+        durationMs: elapsedMs(start)
+    });
+    const results = passed || !enrollment ? graded.results : null;
+    return res.status(200).json({...graded, results, passThreshold, passed, attempt});
+}
+
+export default withApiLogging(handler);
@@ -0,0 +1,111 @@
+import {Readable} from 'stream';
+import {pipeline} from 'stream/promises';
+import {isStaff, loadEnrollmentAccess} from '@lib/auth';
+import {isLessonInCourse} from '@lib/courses';
+import {fetchAsset, getItem, getLesson, isNotFoundError} from '@lib/directus';
+import {logger} from '@lib/logger';
+import {checkLessonRestriction, RESTRICTION_ENROLLMENT_FIELDS} from '@lib/restrictions';
+import {getSession} from '@lib/session';
+import {withApiLogging} from '@lib/tracing';
+
+// Streamed files can be larger than the default API response limit
+export const config = {
+    api: {responseLimit: false}
+};
+
+// attachment; filename="..." with an RFC 5987 fallback for non-ASCII names
+function contentDisposition(filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// GET /api/lessons/:id/resources/:resourceId?enrollmentId=...
+// Downloads a resource file with the server's Directus token, so files never
+// need to be public. Learners need the enrollment the lesson belongs to; staff
+// may leave it out.
+async function handler(req, res) {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({error: `Method ${req.method} not allowed`});
+    }
+
+    const {id, resourceId, enrollmentId} = req.query;
+    const session = await getSession(req, res);
+    if (!session) {
+        return res.status(401).json({error: 'Please sign in first'});
+    }
+
+    let enrollment = null;
+    if (enrollmentId) {
+        const access = await loadEnrollmentAccess(session.user, enrollmentId, RESTRICTION_ENROLLMENT_FIELDS);
+        if (access.error) {
+            return res.status(access.status).json({error: access.error});
+        }
+        enrollment = access.enrollment;
+    } else if (!isStaff(session.user)) {
+        return res.status(403).json({error: 'An enrollment is required to download this file'});
+    }
+
+    let lesson;
+    let resource;
+    try {
+        [lesson, resource] = await Promise.all([
+            getLesson(id, {fields: ['id', 'module.course']}),
+            getItem('lms_lesson_resources', resourceId, {
+                fields: ['id', 'lesson', 'file.id', 'file.filename_download']
+            })
+        ]);
+    } catch (error) {
+        if (isNotFoundError(error)) {
+            return res.status(404).json({error: 'Resource not found'});
+        }
+        logger.error('Error fetching lesson resource', {error});
+        return res.status(500).json({error: 'Failed to load resource'});
+    }
+
+    if (String(resource.lesson) !== String(lesson.id) || !resource.file?.id) {
+        return res.status(404).json({error: 'Resource not found'});
+    }
+    if (enrollment && !isLessonInCourse(lesson, enrollment)) {
+        return res.status(404).json({error: 'This lesson is not part of the enrolled course'});
+    }
+    if (enrollment && !isStaff(session.user)) {
+        let restriction;
+        try {
+            restriction = await checkLessonRestriction(enrollment, lesson.id);
+        } catch (error) {
+            logger.error('Error checking lesson restrictions', {error});
+            return res.status(500).json({error: 'Failed to load resource'});
+        }
+        if (restriction) {
+            return res.status(403).json({error: restriction.message});
+        }
+    }
+
+    let response;
+    try {
+        response = await fetchAsset(resource.file.id, {download: true});
+    } catch (error) {
+        logger.error('Error fetching resource file', {error});
+        return isNotFoundError(error)
+            ? res.status(404).json({error: 'File not found'})
+            : res.status(502).json({error: 'Failed to download file'});
+    }
+
+    res.setHeader('Content-Type', response.headers.get('content-type') || 'application/octet-stream');
+    const length = response.headers.get('content-length');
+    if (length) res.setHeader('Content-Length', length);
+    res.setHeader('Content-Disposition', contentDisposition(resource.file.filename_download || `resource-${resource.id}`));
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.status(200);
+
+    try {
+        await pipeline(Readable.fromWeb(response.body), res);
+    } catch (error) {
+        // Usually the learner cancelled the download; headers are already sent
+        logger.error('Resource download interrupted', {error});
+    }
+}
+
+export default withApiLogging(handler);
@@ -0,0 +1,30 @@
+import {loadLessonState} from '@lib/lesson-state';
+import {getSession} from '@lib/session';
+import {withApiLogging} from '@lib/tracing';
+
+// GET /api/lessons/:id/state?enrollmentId=...&includeLesson=false
+// The lesson's content, video, resources and navigation for a learner who may
+// open it, with their completion, quiz attempts and video progress and which
+// lessons of the course are still closed to them. Pages that were generated
+// with the lesson's body pass includeLesson=false to leave it out.
+async function handler(req, res) {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({error: `Method ${req.method} not allowed`});
+    }
+
+    const {id, enrollmentId, includeLesson} = req.query;
+    const session = await getSession(req, res);
+    const {status, error, state} = await loadLessonState(session?.user, id, enrollmentId || null, {
+        includeLesson: includeLesson !== 'false'
+    });
+
+    // Per-learner data must never be stored by a shared cache
+    res.setHeader('Cache-Control', 'private, no-store');
+    if (error) {
+        return res.status(status).json({error});
+    }
+    return res.status(200).json(state);
+}
+
+export default withApiLogging(handler);
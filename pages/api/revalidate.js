@@ -0,0 +1,111 @@
+import {createHash, timingSafeEqual} from 'crypto';
+import {addContentParents, listCourseLessonIds, purgeContent} from '@lib/catalog';
+import {getConfig} from '@lib/config';
+import {logger} from '@lib/logger';
+import {withApiLogging} from '@lib/tracing';
+
+// Collections whose items are cached under their own id, or inside the
+// course or lesson they belong to (see addContentParents)
+const PURGE_KEYS = {
+    lms_courses: 'courses',
+    lms_lessons: 'lessons',
+    lms_modules: 'modules',
+    lms_lesson_resources: 'resources'
+};
+
+// Lesson pages regenerated at a time, so a purge of many lessons does not
+// render them all at once
+const REVALIDATE_CONCURRENCY = 4;
+
+const digest = value => createHash('sha256').update(value).digest();
+
+function hasSecret(req, secret) {
+    const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+    return Boolean(match) && timingSafeEqual(digest(match[1]), digest(secret));
+}
+
+const toIdList = value => [].concat(value ?? []).filter(id => typeof id === 'string' || typeof id === 'number');
+
+// Regenerates the static pages of the given lessons. Pages of deleted lessons
+// turn into 404s.
+async function revalidateLessonPages(res, lessonIds) {
+    const queue = [...lessonIds];
+    const failed = [];
+    const revalidateNext = async () => {
+        while (queue.length > 0) {
+            const id = queue.shift();
+            try {
+                await res.revalidate(`/lessons/${id}`);
+            } catch (error) {
+                logger.error('Failed to revalidate lesson page', {lessonId: id, error});
+                failed.push(id);
+            }
+        }
+    };
+    await Promise.all(Array.from({length: Math.min(REVALIDATE_CONCURRENCY, queue.length)}, revalidateNext));
+    return {revalidated: lessonIds.length - failed.length, failed};
+}
+
+// POST /api/revalidate  Authorization: Bearer <REVALIDATE_SECRET>
+//   {courses: [id, ...], lessons: [id, ...]}
+//   or a Directus flow trigger: {collection, keys: [id, ...]} (or {collection, key})
+// Purges cached course structures and lessons and regenerates the static
+// pages of every lesson in the courses that changed.
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({error: `Method ${req.method} not allowed`});
+    }
+
+    const {revalidateSecret} = getConfig();
+    if (!revalidateSecret) {
+        return res.status(503).json({error: 'Revalidation is not configured'});
+    }
+    if (!hasSecret(req, revalidateSecret)) {
+        return res.status(401).json({error: 'Invalid revalidation secret'});
+    }
+
+    const {collection, keys, key, courses, lessons} = req.body || {};
+    let target;
+
+    if (collection) {
+        if (!PURGE_KEYS[collection]) {
+            return res.status(400).json({error: `Collection ${collection} is not cached`});
+        }
+        const ids = toIdList(keys ?? key);
+        if (ids.length === 0) {
+            return res.status(400).json({error: 'keys is required'});
+        }
+        target = {[PURGE_KEYS[collection]]: ids};
+    } else {
+        target = {courses: toIdList(courses), lessons: toIdList(lessons)};
+        if (target.courses.length === 0 && target.lessons.length === 0) {
+            return res.status(400).json({error: 'courses or lessons is required'});
+        }
+    }
+
+    let parents;
+    try {
+        parents = await addContentParents(target);
+    } catch (error) {
+        // Cached copies that list the changed items can still be dropped
+        const purged = purgeContent(target);
+        logger.error('Failed to look up the courses and lessons to purge', {error});
+        return res.status(500).json({error: 'Could not look up every course and lesson to purge', purged});
+    }
+    const purged = purgeContent(parents);
+
+    let lessonIds;
+    try {
+        lessonIds = await listCourseLessonIds(parents);
+    } catch (error) {
+        logger.error('Failed to look up the lesson pages to regenerate', {error});
+        const {revalidated, failed} = await revalidateLessonPages(res, parents.lessons);
+        return res.status(500).json({error: 'Could not look up every lesson page to regenerate', purged, revalidated, failed});
+    }
+
+    const {revalidated, failed} = await revalidateLessonPages(res, lessonIds);
+    return res.status(failed.length > 0 ? 500 : 200).json({purged, revalidated, failed});
+}
+
+export default withApiLogging(handler);
@@ -0,0 +1,221 @@
+import {useRouter} from 'next/router';
+import Head from 'next/head';
+import {countLessons, formatCourse} from '@lib/courses';
+import {getCourse, isNotFoundError} from '@lib/directus';
+import {logger} from '@lib/logger';
+import {withPageLogging} from '@lib/tracing';
+
+async function loadCoursePage(context) {
+    const {id} = context.params;
+
+    try {
+        const course = await getCourse(id, {
+            fields: [
+                'id',
+                'title',
+                'description',
+                'status',
+                'modules.id',
+                'modules.title',
+                'modules.sort',
+                'modules.lessons.id',
+                'modules.lessons.title',
+                'modules.lessons.sort'
+            ]
+        });
+
+        // Drafts and archived courses are not part of the catalog
+        if (course.status !== 'published') {
+            context.res.statusCode = 404;
+            return {props: {course: null, lessonCount: 0, error: null, errorStatus: null}};
+        }
+
+        const formattedCourse = formatCourse(course);
+        return {
+            props: {
+                course: {...formattedCourse, description: course.description || null},
+                lessonCount: countLessons(formattedCourse),
+                error: null,
+                errorStatus: null
+            }
+        };
+    } catch (error) {
+        if (isNotFoundError(error)) {
+            context.res.statusCode = 404;
+            return {props: {course: null, lessonCount: 0, error: null, errorStatus: null}};
+        }
+        logger.error('Error fetching course', {error});
+        return {
+            props: {
+                course: null,
+                lessonCount: 0,
+                error: error.message || 'Failed to load course',
+                errorStatus: error.status || 500
+            }
+        };
+    }
+}
+
+export const getServerSideProps = withPageLogging('course', loadCoursePage);
+
+export default function CoursePage({course, lessonCount, error, errorStatus}) {
+    const router = useRouter();
+
+    if (error) {
+        return (
+            <div className="container">
+                <Head><title>Error {errorStatus} | Next.js Starter</title></Head>
+                <main>
+                    <div className="content-box">
+                        <h1>Error Loading Course</h1>
+                        <p>Status: {errorStatus || "Unknown"}</p>
+                        <p>{error}</p>
+                        <div className="actions">
+                            <button onClick={() => window.location.reload()}>Try Again</button>
+                            <button onClick={() => router.push('/')}>Return Home</button>
+                        </div>
+                    </div>
+                </main>
+            </div>
+        );
+    }
+
+    if (!course) {
+        return (
+            <div className="container">
+                <Head><title>Course Not Found | Next.js Starter</title></Head>
+                <main>
+                    <div className="content-box">
+                        <h1>Course Not Found</h1>
+                        <p>We couldn't find the course you're looking for.</p>
+                        <div className="actions">
+                            <button onClick={() => router.push('/')}>Return Home</button>
+                        </div>
+                    </div>
+                </main>
+            </div>
+        );
+    }
+
+    return (
+        <div className="container">
+            <Head>
+                <title>{course.title} | Next.js Starter</title>
+            </Head>
+            <main className="left-aligned">
+                <div className="content-box">
+                    <h1>{course.title}</h1>
+                    <p className="course-meta">
+                        {course.modules.length} module{course.modules.length === 1 ? '' : 's'} &middot; {lessonCount} lesson{lessonCount === 1 ? '' : 's'}
+                    </p>
+                    {course.description && <p>{course.description}</p>}
+                </div>
+
+                <div className="content-box">
+                    <h2>Course Outline</h2>
+                    {course.modules.length > 0 ? (
+                        course.modules.map((module, index) => (
+                            <div key={module.id} className="module">
+                                <h3>Module {index + 1}: {module.title}</h3>
+                                {module.lessons.length > 0 ? (
+                                    <ol>
+                                        {module.lessons.map(lesson => (
+                                            <li key={lesson.id}>{lesson.title}</li>
+                                        ))}
+                                    </ol>
+                                ) : (
+                                    <p>No lessons in this module yet.</p>
+                                )}
+                            </div>
+                        ))
+                    ) : (
+                        <p>This course has no modules yet.</p>
+                    )}
+                </div>
+
+                <div className="content-box">
+                    <div className="actions">
+                        <button onClick={() => router.push('/')}>Back to Home</button>
+                    </div>
+                </div>
+            </main>
+
+            <style jsx>{`
+                .container {
+                    max-width: 900px;
+                    margin: 0 auto;
+                    padding: 0 1rem;
+                }
+
+                .left-aligned {
+                    text-align: left;
+                }
+
+                h1 {
+                    margin-bottom: 1rem;
+                }
+
+                h2 {
+                    margin-top: 0;
+                    color: #333;
+                }
+
+                .content-box {
+                    width: 100%;
+                    margin-bottom: 2rem;
+                    padding: 1.5rem;
+                    background-color: #ffffff;
+                    border-radius: 5px;
+                    border: 1px solid #e0e0e0;
+                    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.05);
+                }
+
+                .course-meta {
+                    color: #555;
+                    font-size: 0.9rem;
+                }
+
+                .module {
+                    padding: 0.75rem 0;
+                    border-bottom: 1px solid #e0e0e0;
+                }
+
+                .module:last-child {
+                    border-bottom: none;
+                }
+
+                .module h3 {
+                    margin: 0 0 0.5rem;
+                }
+
+                .module ol {
+                    margin: 0;
+                    padding-left: 1.5rem;
+                }
+
+                .module li {
+                    padding: 0.25rem 0;
+                }
+
+                .actions {
+                    margin-top: 1rem;
+                    display: flex;
+                    gap: 1rem;
+                }
+
+                button {
+                    padding: 0.5rem 1rem;
+                    background-color: #0070f3;
+                    color: white;
+                    border: none;
+                    border-radius: 4px;
+                    cursor: pointer;
+                }
+
+                button:hover {
+                    background-color: #005dca;
+                }
+            `}</style>
+        </div>
+    );
+}
@@ -1,20 +1,35 @@
 import {useRouter} from 'next/router';
 import Head from 'next/head';
 import Link from "next/link";
-
-export async function getServerSideProps(context) {
+import {assertEnrollmentAccess, AuthError} from '@lib/auth';
+import {getCachedCourse} from '@lib/catalog';
+import {describeLock, findNextLesson, formatCourse, getLessonUrl} from '@lib/courses';
+import {getEnrollment, isNotFoundError} from '@lib/directus';
+import {logger} from '@lib/logger';
+import {computeModuleProgress, computeProgress, storeProgress} from '@lib/progress';
+import {getLessonRestrictions, RESTRICTION_COURSE_FIELDS} from '@lib/restrictions';
+import {getSession} from '@lib/session';
+import {createServerTiming} from '@lib/timing';
+import {withPageLogging} from '@lib/tracing';
+
+const MODULE_STATUS_LABELS = {
+    not_started: 'Not started',
+    in_progress: 'In progress',
+    done: 'Done'
+};
+
+async function loadEnrollmentPage(context) {
     const {id} = context.params;
-    const {completed_lesson_id} = context.query;
+    const timing = createServerTiming();
 
     try {
-        const baseUrl = process.env.PUBLIC_URL || "http://localhost:3000";
-        const callbackUrl = `${baseUrl}/enrollments/${id}`;
-
-        const headers = {'Authorization': `Bearer ${process.env.NEXT_PUBLIC_DIRECTUS_API_TOKEN}`};
+        const session = await timing.measure('session', () => getSession(context.req, context.res), 'Session refresh');
+        if (!session) {
+            throw new AuthError(401, 'Please sign in to view this enrollment');
+        }
 
         // 1. Fetch enrollment data
-        const enrollmentUrl = `${process.env.NEXT_PUBLIC_OPTICAL_API_ENDPOINT}/items/lms_enrollments/${id}`;
-        const enrollmentParams = {
+        const enrollmentQuery = {
             fields: [
                 'id',
                 'date_created',
@@ -23,216 +38,160 @@ export async function getServerSideProps(context) {
                 'is_completed',
                 'course.id',
                 'course.title',
+                'user_enrolled.id',
                 'user_enrolled.first_name',
                 'user_enrolled.last_name',
                 'lessons_completed.lms_lessons_id.id',
                 'lessons_completed.lms_lessons_id.title',
-                'lessons_completed.lms_lessons_id.sort',
-                'lessons_completed.lms_lessons_id.module.title',
-                'lessons_completed.lms_lessons_id.module.id',
-                'lessons_completed.lms_lessons_id.module.sort',
-            ].join(','),
-            sort: [
-                'lessons_completed.lms_lessons_id.module.sort',
                 'lessons_completed.lms_lessons_id.sort'
-            ].join(',')
+            ]
         };
 
-        const queryString = new URLSearchParams(enrollmentParams).toString();
-        const enrollmentResponse = await fetch(`${enrollmentUrl}?${queryString}`, {headers});
-        if (!enrollmentResponse.ok) {
-            throw new Error(`Failed to fetch enrollment: ${enrollmentUrl} ${enrollmentResponse.status} ${enrollmentResponse.statusText}`);
-        }
-
-        let {data: enrollment} = await enrollmentResponse.json();
-        const completed_lesson_status = completed_lesson_id ? addLesson(enrollment, completed_lesson_id) : null;
-
-        console.error(`###### 1 ${JSON.stringify(enrollment, null, 2)}`);
-
-        // Refetch the data if added
-        if (completed_lesson_status) {
-            const enrollmentResponse = await fetch(`${enrollmentUrl}?${queryString}`, {headers});
-            if (!enrollmentResponse.ok) {
-                throw new Error(`Failed to fetch enrollment: ${enrollmentUrl} ${enrollmentResponse.status} ${enrollmentResponse.statusText}`);
+        let enrollment;
+        try {
+            enrollment = await timing.measure('directus-enrollment', () => getEnrollment(id, enrollmentQuery), 'Enrollment');
+        } catch (error) {
+            if (isNotFoundError(error)) {
+                timing.apply(context.res);
+                return {notFound: true};
             }
-            let {data: enrollment} = await enrollmentResponse.json();
-            console.error(JSON.stringify(enrollment, null, 2));
+            throw error;
         }
+        assertEnrollmentAccess(session.user, enrollment);
+
+        // 2. Fetch the course structure, which is cached between page views
+        const course = await timing.measure(
+            'course',
+            () => getCachedCourse(enrollment.course.id, {fields: RESTRICTION_COURSE_FIELDS}),
+            'Course structure'
+        );
 
-        // Format completed lessons
-        const completedLessons = enrollment.lessons_completed.map(item => ({
-            id: item.lms_lessons_id.id,
-            title: item.lms_lessons_id.title,
-            sort: item.lms_lessons_id.sort,
-            url: `${baseUrl}/lessons/${item.lms_lessons_id.id}?completed=true&callback=${encodeURIComponent(callbackUrl)}`,
-            module: {
-                id: item.lms_lessons_id.module.id,
-                title: item.lms_lessons_id.module.title,
-                sort: item.lms_lessons_id.module.sort
+        // Format completed lessons; junction rows written before the unique
+        // index existed may repeat a lesson, so each is listed once. As in
+        // computeProgress, completions of lessons that were deleted, moved to
+        // another course or taken out of their module are left out, and each
+        // lesson's module is the one the course structure puts it in.
+        const lessonModules = new Map((course.modules || []).flatMap(module =>
+            (module.lessons || []).map(lesson => [String(lesson.id), module])));
+        const completedLessons = enrollment.lessons_completed
+            .filter(item => item.lms_lessons_id && lessonModules.has(String(item.lms_lessons_id.id)))
+            .filter((item, index, items) =>
+                items.findIndex(other => other.lms_lessons_id.id === item.lms_lessons_id.id) === index)
+            .map(item => {
+                const module = lessonModules.get(String(item.lms_lessons_id.id));
+                return {
+                    id: item.lms_lessons_id.id,
+                    title: item.lms_lessons_id.title,
+                    sort: item.lms_lessons_id.sort,
+                    url: getLessonUrl(item.lms_lessons_id.id, enrollment.id),
+                    module: {id: module.id, title: module.title, sort: module.sort}
+                };
+            })
+            .sort((a, b) => {
+                const moduleSortDiff = a.module.sort - b.module.sort;
+                if (moduleSortDiff !== 0) return moduleSortDiff;
+                return a.sort - b.sort;
+            });
+
+        // Format course structure with proper sorting; lessons that have not
+        // opened yet carry their release time, and locked ones the reason,
+        // instead of a link
+        const completedLessonIds = completedLessons.map(lesson => lesson.id);
+        const restrictions = getLessonRestrictions(course, enrollment, completedLessonIds);
+        const formattedCourse = formatCourse(course, lesson => {
+            const restriction = restrictions.get(String(lesson.id));
+            if (restriction) {
+                return {
+                    url: null,
+                    locked: true,
+                    lockReason: restriction.requires ? describeLock(restriction.requires) : null,
+                    opensAt: restriction.opensAt
+                };
             }
-        })).sort((a, b) => {
-            const moduleSortDiff = a.module.sort - b.module.sort;
-            if (moduleSortDiff !== 0) return moduleSortDiff;
-            return a.sort - b.sort;
+            return {url: getLessonUrl(lesson.id, enrollment.id), locked: false, lockReason: null, opensAt: null};
         });
 
-        // 2. Fetch course structure with all lessons (formerly in lessons-to-complete.js)
-        const course_id = enrollment.course.id;
-        const courseUrl = `${process.env.NEXT_PUBLIC_OPTICAL_API_ENDPOINT}/items/lms_courses/${course_id}`;
-        const courseParams = {
-            fields: [
-                'id',
-                'title',
-                'modules.id',
-                'modules.title',
-                'modules.sort',
-                'modules.lessons.id',
-                'modules.lessons.title',
-                'modules.lessons.sort'
-            ].join(',')
-        };
-
-        const courseQueryString = new URLSearchParams(courseParams).toString();
-        const courseResponse = await fetch(`${courseUrl}?${courseQueryString}`, {headers});
-
-        if (!courseResponse.ok) {
-            throw new Error(`Failed to fetch course: ${courseResponse.status} ${courseResponse.statusText}`);
+        // 3. Calculate progress statistics. The stored percent_complete falls
+        // behind when lessons are added to or removed from the course, so it
+        // is repaired here the way a new completion would.
+        let progress;
+        try {
+            progress = await timing.measure(
+                'progress',
+                () => storeProgress(enrollment, course, completedLessonIds),
+                'Progress repair'
+            );
+        } catch (error) {
+            logger.error('Failed to store enrollment progress', {enrollmentId: enrollment.id, error});
+            progress = computeProgress(course, completedLessonIds);
         }
+        const {totalLessons, completedCount, remainingCount, percentComplete, isCompleted} = progress;
+        const progressStats = {totalLessons, completedCount, remainingCount, percentComplete, isCompleted};
+        const moduleProgress = computeModuleProgress(formattedCourse, completedLessonIds);
 
-        const {data: course} = await courseResponse.json();
-
-        // Format course structure with proper sorting
-        const formattedCourse = {
-            id: course.id,
-            title: course.title,
-            modules: course.modules
-                ? course.modules
-                    .sort((a, b) => (a.sort || 0) - (b.sort || 0))
-                    .map(module => ({
-                        id: module.id,
-                        title: module.title,
-                        sort: module.sort || 0,
-                        lessons: module.lessons
-                            ? module.lessons
-                                .sort((a, b) => (a.sort || 0) - (b.sort || 0))
-                                .map(lesson => ({
-                                    id: lesson.id,
-                                    title: lesson.title,
-                                    url: `${baseUrl}/lessons/${lesson.id}?completed=false&callback=${encodeURIComponent(callbackUrl)}`,
-                                    sort: lesson.sort || 0
-                                }))
-                            : []
-                    }))
-                : []
-        };
-
-        // 3. Calculate progress statistics
-        const totalLessonsCount = formattedCourse.modules?.reduce(
-            (total, module) => total + module.lessons.length, 0
-        ) || 0;
-
-        const progressStats = {
-            totalLessons: totalLessonsCount,
-            completedCount: completedLessons.length,
-            remainingCount: totalLessonsCount - completedLessons.length
-        };
+        // Where the "Continue" button picks up
+        const nextLesson = findNextLesson(formattedCourse, completedLessonIds);
 
+        timing.apply(context.res);
         return {
             props: {
                 enrollment,
                 completedLessons,
                 lessonsToComplete: formattedCourse,
                 progressStats,
+                moduleProgress,
+                nextLesson,
                 error: null,
                 errorStatus: null,
                 stack: null
             }
         };
     } catch (error) {
-        console.error('Error in getServerSideProps:', error);
+        const errorStatus = error.status || 500;
+        // Answer with the real status so crawlers and proxies do not cache an error page as a 200
+        context.res.statusCode = errorStatus;
+        timing.apply(context.res);
+        if (!(error instanceof AuthError)) {
+            logger.error('Error loading enrollment', {enrollmentId: id, error});
+        }
         return {
             props: {
                 enrollment: null,
                 completedLessons: [],
                 lessonsToComplete: {modules: []},
-                progressStats: {totalLessons: 0, completedCount: 0, remainingCount: 0},
+                progressStats: {totalLessons: 0, completedCount: 0, remainingCount: 0, percentComplete: 0, isCompleted: false},
+                moduleProgress: [],
+                nextLesson: null,
                 error: error.message || 'Failed to load enrollment data',
-                errorStatus: error.status || 500,
-                stack: process.env.NODE_ENV === 'development' ? error.stack : null
+                errorStatus,
+                stack: process.env.NODE_ENV === 'development' && !(error instanceof AuthError) ? error.stack : null
             }
         };
     }
 }
 
-// pages/api/add-lesson.js
-export async function addLesson(enrollment, lessonId) {
-    try {
-        // Check if the lesson exists
-        const lessonUrl = `${process.env.NEXT_PUBLIC_OPTICAL_API_ENDPOINT}/items/lms_lessons/${lessonId}`;
-        const headers = {'Authorization': `Bearer ${process.env.NEXT_PUBLIC_DIRECTUS_API_TOKEN}`};
-
-        const lessonResponse = await fetch(lessonUrl, {headers});
-        if (!lessonResponse.ok) {
-            return lessonResponse.status;
-        }
-
-        // Extract lesson IDs from the enrollment
-        const completedLessonIds = enrollment.lessons_completed
-            ? enrollment.lessons_completed
-                .filter(lesson => lesson && lesson.lms_lessons_id)
-                .map(lesson => lesson.lms_lessons_id.id)
-            : [];
-
-        // Check if lesson is already completed
-        if (completedLessonIds.includes(lessonId)) {
-            // Lesson already marked as completed - return 200 with no body
-            return 200;
-        }
-
-        // Add lesson to completed lessons via Directus API
-        const updatedLessonIds = [...completedLessonIds, lessonId];
-
-        // Format the data for Directus junction collection
-        const lessonCompletions = updatedLessonIds.map(id => ({
-            lms_lessons_id: id
-        }));
-
-        // Update the enrollment with the new lessons_completed
-        const updateUrl = `${process.env.NEXT_PUBLIC_OPTICAL_API_ENDPOINT}/items/lms_enrollments/${enrollment.id}`;
-        const updateResponse = await fetch(updateUrl, {
-            method: 'PATCH',
-            headers: {
-                'Authorization': `Bearer ${process.env.NEXT_PUBLIC_DIRECTUS_API_TOKEN}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                lessons_completed: lessonCompletions
-            })
-        });
-
-        if (!updateResponse.ok) {
-            throw new Error(`Failed to update enrollment: ${updateResponse.status} ${updateResponse.statusText}`);
-        }
-
-        // Return 201 Created with the specified response format
-        return 201;
-    } catch (error) {
-        console.error('API error:', error);
-        return 500;
-    }
-}
+export const getServerSideProps = withPageLogging('enrollment', loadEnrollmentPage);
 
 export default function EnrollmentPage({
                                            enrollment,
                                            completedLessons,
                                            lessonsToComplete,
                                            progressStats,
+                                           moduleProgress,
+                                           nextLesson,
                                            error,
                                            errorStatus,
                                            stack
                                        }) {
     const router = useRouter();
 
+    const handleSignIn = () => router.push(`/login?next=${encodeURIComponent(router.asPath)}`);
+
+    const handleSignOut = async () => {
+        await fetch('/api/auth/logout', {method: 'POST'}).catch(() => null);
+        router.push('/login');
+    };
+
     // Conditional renders for fallback, error, and missing enrollment
     if (router.isFallback) {
         return (
@@ -254,7 +213,9 @@ export default function EnrollmentPage({
                         <p>{error}</p>
                         {stack && <pre className="error-stack">{stack}</pre>}
                         <div className="actions">
-                            <button onClick={() => window.location.reload()}>Try Again</button>
+                            {errorStatus === 401
+                                ? <button onClick={handleSignIn}>Sign In</button>
+                                : <button onClick={() => window.location.reload()}>Try Again</button>}
                             <button onClick={() => router.push('/')}>Return Home</button>
                         </div>
                     </div>
@@ -316,12 +277,19 @@ export default function EnrollmentPage({
                     {enrollment.course && (
                         <p>Course: <strong>{enrollment.course.title}</strong></p>
                     )}
-                    <p>Status: {enrollment.is_completed
+                    <p>Status: {progressStats.isCompleted
                         ? <strong>Completed</strong>
-                        : <strong>{enrollment.percent_complete}% complete</strong>}
+                        : <strong>{progressStats.percentComplete}% complete</strong>}
                     </p>
                     <p>Date Created: <strong>{formatDate(enrollment.date_created)}</strong></p>
                     <p>Last Updated: <strong>{formatDate(enrollment.date_updated)}</strong></p>
+                    {nextLesson && (
+                        <div className="actions">
+                            <button onClick={() => router.push(nextLesson.url)}>
+                                {progressStats.completedCount > 0 ? 'Continue' : 'Start'}: {nextLesson.title}
+                            </button>
+                        </div>
+                    )}
                 </div>
 
                 {/* Progress Summary Block */}
@@ -353,72 +321,84 @@ export default function EnrollmentPage({
                 </div>
 
                 <div className="content-box">
-                    <h2>Completed Lessons</h2>
-                    {completedLessons.length > 0 ? (
-                        <div className="table-container">
-                            <table className="lessons-table">
-                                <thead>
-                                <tr>
-                                    <th className="module-cell">Module</th>
-                                    <th className="lesson-cell">Lesson</th>
-                                </tr>
-                                </thead>
-                                <tbody>
-                                {completedLessons.map(lesson => (
-                                    <tr key={lesson.id} className="lesson-row">
-                                        <td className="module-cell">{lesson.module.title}</td>
-                                        <td className="lesson-cell">
-                                            <Link href={lesson.url} rel="prefetch">
-                                                {lesson.title}
-                                            </Link>
-                                        </td>
-                                    </tr>
-                                ))}
-                                </tbody>
-                            </table>
-                        </div>
-                    ) : (
-                        <p>No lessons completed yet.</p>
-                    )}
-                </div>
-
-                <div className="content-box">
-                    <h2>Lessons to Complete</h2>
+                    <h2>Modules</h2>
                     {lessonsToComplete.modules && lessonsToComplete.modules.length > 0 ? (
-                        <div className="table-container">
-                            <table className="lessons-table">
-                                <thead>
-                                <tr>
-                                    <th className="module-cell">Module</th>
-                                    <th className="lesson-cell">Lesson</th>
-                                </tr>
-                                </thead>
-                                <tbody>
-                                {lessonsToComplete.modules.flatMap(module =>
-                                    module.lessons
-                                        .filter(lesson => !isLessonCompleted(lesson.id))
-                                        .map(lesson => (
-                                            <tr key={lesson.id} className="lesson-row">
-                                                <td className="module-cell">{module.title}</td>
-                                                <td className="lesson-cell">
-                                                    <Link href={lesson.url} rel="prefetch">
-                                                        {lesson.title}
-                                                    </Link>
-                                                </td>
-                                            </tr>
-                                        ))
-                                )}
-                                </tbody>
-                            </table>
-                        </div>
+                        lessonsToComplete.modules.map(module => {
+                            const progress = moduleProgress.find(item => item.id === module.id);
+                            const holdsNextLesson = module.lessons.some(lesson => lesson.id === nextLesson?.id);
+                            return (
+                                <details
+                                    key={module.id}
+                                    className="module-section"
+                                    open={progress.status === 'in_progress' || holdsNextLesson}
+                                >
+                                    <summary>
+                                        <span className="module-title">{module.title}</span>
+                                        <span className={`module-status module-status-${progress.status}`}>
+                                            {MODULE_STATUS_LABELS[progress.status]}
+                                        </span>
+                                        <span className="module-count">
+                                            {progress.completedCount} of {progress.totalLessons} lessons
+                                        </span>
+                                        <span className="progress-bar-container module-progress">
+                                            <span
+                                                className="progress-bar-fill"
+                                                style={{width: `${progress.percentComplete}%`}}
+                                            ></span>
+                                        </span>
+                                    </summary>
+                                    {module.lessons.length > 0 ? (
+                                        <div className="table-container">
+                                            <table className="lessons-table">
+                                                <thead>
+                                                <tr>
+                                                    <th className="lesson-cell">Lesson</th>
+                                                    <th className="status-cell">Status</th>
+                                                </tr>
+                                                </thead>
+                                                <tbody>
+                                                {module.lessons.map(lesson => (
+                                                    <tr key={lesson.id} className="lesson-row">
+                                                        <td className="lesson-cell">
+                                                            {lesson.locked ? (
+                                                                <span className="locked-lesson">
+                                                                    <span aria-hidden="true">{lesson.opensAt ? '🕒 ' : '🔒 '}</span>
+                                                                    {lesson.title}
+                                                                    <span className="lock-reason">
+                                                                        {lesson.opensAt
+                                                                            ? `Opens on ${formatDate(lesson.opensAt)}`
+                                                                            : `Locked. ${lesson.lockReason}.`}
+                                                                    </span>
+                                                                </span>
+                                                            ) : (
+                                                                <Link href={lesson.url} rel="prefetch">
+                                                                    {lesson.title}
+                                                                </Link>
+                                                            )}
+                                                        </td>
+                                                        <td className="status-cell">
+                                                            {isLessonCompleted(lesson.id) ? '✓ Completed' : 'To do'}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    ) : (
+                                        <p>No lessons in this module yet.</p>
+                                    )}
+                                </details>
+                            );
+                        })
                     ) : (
-                        <p>All lessons completed!</p>
+                        <p>This course has no modules yet.</p>
                     )}
                 </div>
 
                 <div className="content-box">
                     <div className="actions">
                         <button onClick={() => router.push('/')}>Back to Home</button>
+                        <button onClick={handleSignOut}>Sign Out</button>
                     </div>
                 </div>
             </main>
@@ -476,12 +456,64 @@ export default function EnrollmentPage({
                     border-bottom: 1px solid #e0e0e0;
                 }
 
-                .module-cell {
-                    width: 40%; /* Module title column takes 40% of table width */
+                .lesson-cell {
+                    width: 70%; /* Lesson title column takes 70% of table width */
                 }
 
-                .lesson-cell {
-                    width: 60%; /* Lesson title column takes 60% of table width */
+                .status-cell {
+                    width: 30%;
+                    color: #555;
+                }
+
+                .module-section {
+                    border-top: 1px solid #e0e0e0;
+                    padding: 0.75rem 0;
+                }
+
+                .module-section summary {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 0.5rem 1rem;
+                    cursor: pointer;
+                }
+
+                .module-title {
+                    flex: 1;
+                    font-weight: 600;
+                }
+
+                .module-status {
+                    padding: 0.15rem 0.5rem;
+                    border-radius: 4px;
+                    font-size: 0.8rem;
+                    background-color: #f5f5f5;
+                    color: #555;
+                }
+
+                .module-status-in_progress {
+                    background-color: #e3f2fd;
+                    color: #0058c2;
+                }
+
+                .module-status-done {
+                    background-color: #e8f5e9;
+                    color: #2e7d32;
+                }
+
+                .module-count {
+                    font-size: 0.9rem;
+                    color: #555;
+                }
+
+                .module-progress {
+                    display: block;
+                    height: 6px;
+                    margin-top: 0;
+                }
+
+                .module-progress .progress-bar-fill {
+                    display: block;
                 }
 
                 .lesson-cell a {
@@ -494,6 +526,15 @@ export default function EnrollmentPage({
                     text-decoration: underline;
                 }
 
+                .locked-lesson {
+                    color: #888;
+                }
+
+                .lock-reason {
+                    display: block;
+                    font-size: 0.85rem;
+                }
+
                 .progress-summary {
                     display: flex;
                     flex-wrap: wrap;
@@ -1,23 +1,131 @@
-import Head from 'next/head'
-import Header from '@components/Header'
-import Footer from '@components/Footer'
-
-export default function Home() {
-  return (
-    <div className="container">
-      <Head>
-        <title>Next.js Starter!</title>
-        <link rel="icon" href="/favicon.ico" />
-      </Head>
-
-      <main>
-        <Header title="Welcome to my app!" />
-        <p className="description">
-          Get started by editing <code>pages/index.js</code>
-        </p>
-      </main>
-
-      <Footer />
-    </div>
-  )
+import Head from 'next/head';
+import Link from 'next/link';
+import Header from '@components/Header';
+import Footer from '@components/Footer';
+import {countLessons} from '@lib/courses';
+import {listCourses} from '@lib/directus';
+import {logger} from '@lib/logger';
+import {withPageLogging} from '@lib/tracing';
+
+async function loadCoursesPage() {
+    try {
+        const courses = await listCourses({
+            fields: ['id', 'title', 'description', 'modules.id', 'modules.lessons.id'],
+            filter: {status: {_eq: 'published'}},
+            sort: ['title'],
+            limit: -1
+        });
+
+        return {
+            props: {
+                courses: courses.map(course => ({
+                    id: course.id,
+                    title: course.title,
+                    description: course.description || null,
+                    moduleCount: (course.modules || []).length,
+                    lessonCount: countLessons(course)
+                })),
+                error: null,
+                errorStatus: null
+            }
+        };
+    } catch (error) {
+        logger.error('Error fetching courses', {error});
+        return {
+            props: {
+                courses: [],
+                error: error.message || 'Failed to load courses',
+                errorStatus: error.status || 500
+            }
+        };
+    }
+}
+
+export const getServerSideProps = withPageLogging('courses', loadCoursesPage);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+export default function Home({courses, error, errorStatus}) {
+    return (
+        <div className="container">
+            <Head>
+                <title>Course Catalog | Next.js Starter</title>
+                <link rel="icon" href="/favicon.ico"/>
+            </Head>
+
+            <main className="left-aligned">
+                <Header title="Course Catalog"/>
+
+                {error && (
+                    <div className="content-box">
+                        <h2>Error Loading Courses</h2>
+                        <p>Status: {errorStatus || "Unknown"}</p>
+                        <p>{error}</p>
+                    </div>
+                )}
+
+                {!error && courses.length === 0 && (
+                    <div className="content-box">
+                        <p>No courses are available yet.</p>
+                    </div>
+                )}
+
+                {courses.map(course => (
+                    <div key={course.id} className="content-box">
+                        <h2>
+                            <Link href={`/courses/${course.id}`}>{course.title}</Link>
+                        </h2>
+                        <p className="course-meta">
+                            {plural(course.moduleCount, 'module')} &middot; {plural(course.lessonCount, 'lesson')}
+                        </p>
+                        {course.description && <p>{course.description}</p>}
+                    </div>
+                ))}
+            </main>
+
+            <Footer/>
+
+            <style jsx>{`
+                .container {
+                    max-width: 900px;
+                    margin: 0 auto;
+                    padding: 0 1rem;
+                }
+
+                .left-aligned {
+                    text-align: left;
+                    align-items: stretch;
+                }
+
+                h2 {
+                    margin-top: 0;
+                    color: #333;
+                }
+
+                h2 :global(a) {
+                    color: #0070f3;
+                    text-decoration: none;
+                }
+
+                h2 :global(a:hover) {
+                    text-decoration: underline;
+                }
+
+                .content-box {
+                    width: 100%;
+                    margin-bottom: 2rem;
+                    padding: 1.5rem;
+                    background-color: #ffffff;
+                    border-radius: 5px;
+                    border: 1px solid #e0e0e0;
+                    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.05);
+                }
+
+                .course-meta {
+                    color: #555;
+                    font-size: 0.9rem;
+                }
+            `}</style>
+        </div>
+    );
 }
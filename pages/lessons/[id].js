@@ -1,276 +1,167 @@
 import {useRouter} from 'next/router'
 import Head from 'next/head'
-import React, {useState} from 'react'
+import React, {useEffect, useState} from 'react'
 import Link from "next/link";
+import Quiz from '@components/Quiz'
+import VideoPlayer from '@components/VideoPlayer'
+import useWatchProgress from '@components/video/useWatchProgress'
+import {getCachedLesson} from '@lib/catalog'
+import {getLessonUrl} from '@lib/courses'
+import {isNotFoundError} from '@lib/directus'
+import {loadStaticLessonBody} from '@lib/lesson-state'
+import {getBestScore, getPassThreshold, getQuizSettings, hasQuiz} from '@lib/quiz'
+import {parseEnrollmentCallback} from '@lib/redirects'
+import {getResourceHref} from '@lib/resources'
+import {withPageLogging} from '@lib/tracing'
+
+// Lesson pages are the same for every learner, so they are generated on their
+// first view and then served statically. pages/api/revalidate regenerates them
+// when editors publish; this is the fallback.
+const REVALIDATE_SECONDS = 300
+
+// Anyone can fetch the static page, so it carries the lesson's title and quiz
+// summary, and its content, video, resources and navigation only when every
+// learner may open it. For other lessons those come from
+// /api/lessons/[id]/state once access has been checked.
+const LESSON_SHELL_FIELDS = ['id', 'title', 'quiz', 'quiz_pass_threshold', 'quiz_question_count', 'quiz_time_limit']
+
+export async function getStaticPaths() {
+    return {paths: [], fallback: 'blocking'}
+}
 
-export async function getServerSideProps(context) {
-    const {id} = context.params
-    const {completed, callback} = context.query
-
-    const callbackUrl = callback ? decodeURIComponent(callback) : null
+async function loadLessonPage({params}) {
+    let data
+    let body
     try {
-        const url = `${process.env.NEXT_PUBLIC_OPTICAL_API_ENDPOINT}/items/lms_lessons/${id}`
-        const headers = {'Authorization': `Bearer ${process.env.NEXT_PUBLIC_DIRECTUS_API_TOKEN}`}
-        const response = await fetch(url, {headers: headers})
-        if (!response.ok) {
-            throw new Error(`Failed to fetch: ${response.status} ${response.statusText}`)
-        }
-        console.error("#####", {
-            lesson: null,
-            isCompleted: completed === 'true',
-            callbackUrl: callbackUrl
-        })
-
-        const {data} = await response.json()
-        return {
-            props: {
-                lesson: data,
-                error: null,
-                errorStatus: null,
-                isCompleted: completed === 'true',
-                callbackUrl: callbackUrl
-            }
-        }
+        data = await getCachedLesson(params.id, {fields: LESSON_SHELL_FIELDS})
+        body = await loadStaticLessonBody(data.id)
     } catch (error) {
-        console.error('Error fetching lesson:', error)
-        return {
-            props: {
-                lesson: null,
-                error: error.message || 'Unknown error occurred',
-                errorStatus: error.status || 500,
-                stack: error.stack || null,
-                isCompleted: completed === 'true',
-                callbackUrl: callbackUrl
-            }
+        if (isNotFoundError(error)) {
+            return {notFound: true, revalidate: REVALIDATE_SECONDS}
         }
+        // Thrown so a failed regeneration keeps serving the last good page
+        throw error
     }
-}
-
-const QuizComponent = ({quizData}) => {
-    const [selectedAnswers, setSelectedAnswers] = useState({});
-    const [results, setResults] = useState({});
-    const [submitted, setSubmitted] = useState(false);
-
-    const handleAnswerSelect = (questionKey, choiceValue) => {
-        setSelectedAnswers(prev => ({
-            ...prev,
-            [questionKey]: choiceValue
-        }));
-    };
-
-    const handleSubmit = () => {
-        // Only process answers if user has selected at least one
-        if (Object.keys(selectedAnswers).length > 0) {
-            const newResults = {};
-            let correctCount = 0;
-
-            quizData.forEach(question => {
-                const isCorrect = selectedAnswers[question.question_key] === question.answer;
-                newResults[question.question_key] = isCorrect;
-                if (isCorrect) correctCount++;
-            });
-
-            setResults(newResults);
-            setSubmitted(true);
-        }
-    };
-
-    const handleReset = () => {
-        setSelectedAnswers({});
-        setResults({});
-        setSubmitted(false);
-    };
-
-    return (
-        <div className="quiz-container">
-            {quizData.map((question, index) => (
-                <div key={question.question_key} className="quiz-question">
-                    <h3>Question {index + 1}: {question.question}</h3>
-
-                    <div className="choices-container">
-                        {question.choices.map(choice => (
-                            <div key={choice.choice} className="choice-item">
-                                <label className={`choice-label ${
-                                    submitted && selectedAnswers[question.question_key] === choice.choice
-                                        ? results[question.question_key]
-                                            ? "correct-answer"
-                                            : "incorrect-answer"
-                                        : ""
-                                }`}>
-                                    <input
-                                        type="radio"
-                                        name={question.question_key}
-                                        value={choice.choice}
-                                        onChange={() => handleAnswerSelect(question.question_key, choice.choice)}
-                                        checked={selectedAnswers[question.question_key] === choice.choice}
-                                        disabled={submitted}
-                                    />
-                                    {choice.text}
-                                </label>
-                                {submitted && !results[question.question_key] &&
-                                    question.answer === choice.choice &&
-                                    selectedAnswers[question.question_key] !== choice.choice && (
-                                        <div className="correct-answer-indicator">
-                                            ← Correct Answer
-                                        </div>
-                                    )}
-                            </div>
-                        ))}
-                    </div>
 
-                    {submitted && selectedAnswers[question.question_key] && (
-                        <div className="question-feedback">
-                            {results[question.question_key]
-                                ? "Correct!"
-                                : "Incorrect. Please review the correct answer."}
-                        </div>
-                    )}
-                </div>
-            ))}
-
-            <div className="quiz-controls">
-                {!submitted ? (
-                    <button
-                        onClick={handleSubmit}
-                        className="submit-button"
-                    >
-                        Submit Answers
-                    </button>
-                ) : (
-                    <>
-                        <div className="quiz-result-summary">
-                            You got {Object.values(results).filter(Boolean).length} out of {quizData.length} questions
-                            correct.
-                        </div>
-                        <button onClick={handleReset} className="reset-button">
-                            Take Quiz Again
-                        </button>
-                    </>
-                )}
-            </div>
-
-            <style jsx>{`
-                .quiz-container {
-                    margin: 2rem 0;
-                    padding: 1.5rem;
-                    background-color: #f7f9fc;
-                    border-radius: 8px;
-                    border: 1px solid #e0e0e0;
-                }
-
-                .quiz-question {
-                    margin-bottom: 1.5rem;
-                    padding-bottom: 1.5rem;
-                    border-bottom: 1px solid #e0e0e0;
-                }
-
-                .choices-container {
-                    margin: 1rem 0;
-                }
-
-                .choice-item {
-                    margin: 0.75rem 0;
-                    position: relative;
-                }
-
-                .choice-label {
-                    display: flex;
-                    align-items: center;
-                    padding: 0.75rem;
-                    border-radius: 4px;
-                    cursor: pointer;
-                    transition: background-color 0.2s;
-                }
-
-                .choice-label:hover {
-                    background-color: #f0f0f0;
-                }
-
-                .choice-label input {
-                    margin-right: 0.75rem;
-                }
-
-                .correct-answer {
-                    background-color: #e6f7e6;
-                    border: 1px solid #2e7d32;
-                }
-
-                .incorrect-answer {
-                    background-color: #ffebee;
-                    border: 1px solid #c62828;
-                }
-
-                .result-indicator {
-                    margin-left: 0.5rem;
-                    font-weight: bold;
-                    font-size: 1.1rem;
-                }
-
-                .question-feedback {
-                    margin-top: 0.75rem;
-                    padding: 0.5rem;
-                    font-style: italic;
-                }
-
-                .correct-answer-indicator {
-                    margin-left: 2rem;
-                    padding: 0.5rem;
-                    color: #2e7d32;
-                    font-weight: bold;
-                }
-
-                .quiz-controls {
-                    margin-top: 1.5rem;
-                    display: flex;
-                    flex-direction: column;
-                    align-items: center;
-                }
-
-                .submit-button, .reset-button {
-                    padding: 0.5rem 1.5rem;
-                    border: none;
-                    border-radius: 4px;
-                    cursor: pointer;
-                    font-weight: 500;
-                    font-size: 1rem;
-                }
-
-                .submit-button {
-                    background-color: #0070f3;
-                    color: white;
-                }
-
-                .submit-button:hover {
-                    background-color: #005dca;
-                }
-
-                .reset-button {
-                    background-color: #e0e0e0;
-                    color: #333;
-                    margin-top: 1rem;
-                }
+    // Questions are handed out per attempt by /api/lessons/[id]/quiz-attempts
+    // and graded by /api/lessons/[id]/quiz-submissions; only a summary ships here
+    const {questionCount, timeLimitSeconds} = getQuizSettings(data)
+    const quizSummary = hasQuiz(data)
+        ? {questionCount, timeLimitSeconds, passThreshold: getPassThreshold(data)}
+        : null
+
+    return {
+        props: {
+            lesson: {id: data.id, title: data.title},
+            body: body,
+            quizSummary: quizSummary
+        },
+        revalidate: REVALIDATE_SECONDS
+    }
+}
 
-                .reset-button:hover {
-                    background-color: #d0d0d0;
-                }
+export const getStaticProps = withPageLogging('lesson', loadLessonPage)
 
-                .quiz-result-summary {
-                    margin-bottom: 1rem;
-                    font-weight: bold;
-                    font-size: 1.1rem;
-                }
-            `}</style>
-        </div>
-    );
-};
+// Moving to another lesson starts over with fresh state
+export default function Page(props) {
+    return <LessonPage key={props.lesson?.id} {...props}/>
+}
 
-export default function Page({lesson, error, errorStatus, stack, isCompleted, callbackUrl}) {
+function LessonPage({lesson, body, quizSummary}) {
     const router = useRouter();
     const {id} = router.query;
-    const [buttonState, setButtonState] = useState(isCompleted ? 'alreadyCompleted' : 'default');
+    // Where the lesson was opened from. Anything other than one of our
+    // enrollment pages is dropped, so the page falls back to linking home.
+    const [{enrollmentId, callbackUrl}, setOrigin] = useState({enrollmentId: null, callbackUrl: null});
+    // The learner's state from /api/lessons/[id]/state, or why it is not shown
+    const [learnerState, setLearnerState] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [buttonState, setButtonState] = useState('loading');
     const [errorMessage, setErrorMessage] = useState('');
-
-    const completedUrl = isCompleted ? null : `${callbackUrl}?completed_lesson_id=${id}`;
+    const [attempts, setAttempts] = useState([]);
+    const {content, video, resources, minWatchPercent, navigation} = body || learnerState?.lesson || {};
+
+    useEffect(() => {
+        if (!router.isReady || !lesson) return undefined;
+        const origin = parseEnrollmentCallback(router.query.callback, window.location.origin)
+            || {enrollmentId: null, callbackUrl: null};
+        setOrigin(origin);
+
+        const controller = new AbortController();
+        const query = new URLSearchParams();
+        if (origin.enrollmentId) query.set('enrollmentId', origin.enrollmentId);
+        if (body) query.set('includeLesson', 'false');
+        const search = query.toString();
+        fetch(`/api/lessons/${encodeURIComponent(lesson.id)}/state${search ? `?${search}` : ''}`, {signal: controller.signal})
+            .then(async response => {
+                const result = await response.json().catch(() => ({}));
+                if (!response.ok) {
+                    setLoadError({
+                        status: response.status,
+                        message: result.error || `Request failed with status ${response.status}`
+                    });
+                    return;
+                }
+                setLearnerState(result);
+                setAttempts(result.quizAttempts || []);
+                setButtonState(result.isCompleted ? 'alreadyCompleted' : 'default');
+            })
+            .catch(err => {
+                if (err.name === 'AbortError') return;
+                setLoadError({status: null, message: 'Failed to load your progress for this lesson'});
+            });
+        return () => controller.abort();
+    }, [router.isReady, router.query.callback, lesson, body]);
+
+    const quizRequired = Boolean(quizSummary);
+    const quizPassed = !quizRequired || attempts.some(attempt => attempt.passed);
+    const bestScore = getBestScore(attempts);
+
+    const watch = useWatchProgress({enrollmentId, lessonId: lesson?.id, initialProgress: learnerState?.watchProgress});
+    const tracking = Boolean(enrollmentId && video?.trackable);
+    const watchedEnough = !minWatchPercent || watch.percentWatched >= minWatchPercent;
+    const canComplete = quizPassed && watchedEnough;
+
+    // Previous/next links for this enrollment; lessons it cannot open yet are shown without one
+    const restrictedLessonIds = (learnerState?.restrictedLessonIds || []).map(String);
+    const toNavigationLink = target => target && {
+        ...target,
+        url: getLessonUrl(target.id, enrollmentId),
+        locked: restrictedLessonIds.includes(String(target.id))
+    };
+    const previousLesson = toNavigationLink(navigation?.previous);
+    const nextLesson = toNavigationLink(navigation?.next);
+
+    const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+
+    const handleBackClick = () => router.push(callbackUrl || '/');
+
+    const handleMarkCompleted = async () => {
+        setButtonState('pending');
+        setErrorMessage('');
+        try {
+            const response = await fetch(`/api/enrollments/${encodeURIComponent(enrollmentId)}/completions`, {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify({lessonId: id})
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `Request failed with status ${response.status}`);
+            }
+            setButtonState('completed');
+            router.push(callbackUrl);
+        } catch (err) {
+            setButtonState('error');
+            setErrorMessage(err.message || 'Failed to mark lesson as completed');
+        }
+    };
 
     if (router.isFallback) {
         return (
@@ -281,21 +172,22 @@ export default function Page({lesson, error, errorStatus, stack, isCompleted, ca
         )
     }
 
-    if (error) {
+    // Signed-out visitors, other learners and lessons not open yet get this
+    // instead of the lesson
+    if (loadError) {
         return (
             <div className="container">
-                <Head><title>Error {errorStatus} | Next.js Starter</title></Head>
+                <Head><title>Error {loadError.status} | Next.js Starter</title></Head>
                 <main>
                     <div className="content-box">
                         <h1>Error Loading Lesson</h1>
-                        <p>Status: {errorStatus || "Unknown"}</p>
-                        <p>{error}</p>
-                        {stack && <pre className="error-stack">{stack}</pre>}
+                        <p>Status: {loadError.status || "Unknown"}</p>
+                        <p>{loadError.message}</p>
                         <div className="actions">
-                            <button onClick={() => window.location.reload()}>Try Again</button>
-                            {callbackUrl &&
-                                <button onClick={handleBackClick}>Return {callbackUrl ? 'to Course' : 'Home'}</button>
-                            }
+                            {loadError.status === 401
+                                ? <button onClick={() => router.push(`/login?next=${encodeURIComponent(router.asPath)}`)}>Sign In</button>
+                                : <button onClick={() => window.location.reload()}>Try Again</button>}
+                            <button onClick={handleBackClick}>Return {callbackUrl ? 'to Course' : 'Home'}</button>
                         </div>
                     </div>
                 </main>
@@ -312,9 +204,7 @@ export default function Page({lesson, error, errorStatus, stack, isCompleted, ca
                         <h1>Lesson Not Found</h1>
                         <p>We couldn't find the lesson you're looking for.</p>
                         <div className="actions">
-                            {callbackUrl &&
-                                <button onClick={handleBackClick}>Return {callbackUrl ? 'to Course' : 'Home'}</button>
-                            }
+                            <button onClick={handleBackClick}>Return {callbackUrl ? 'to Course' : 'Home'}</button>
                         </div>
                     </div>
                 </main>
@@ -329,70 +219,173 @@ export default function Page({lesson, error, errorStatus, stack, isCompleted, ca
             </Head>
             <main className="left-aligned">
                 <div className="content-box">
+                    {navigation && (
+                        <nav className="breadcrumb" aria-label="Breadcrumb">
+                            <Link href={callbackUrl || `/courses/${navigation.course.id}`}>{navigation.course.title}</Link>
+                            <span className="breadcrumb-separator" aria-hidden="true">›</span>
+                            <span>{navigation.module.title}</span>
+                            <span className="breadcrumb-separator" aria-hidden="true">›</span>
+                            <span aria-current="page">{lesson.title}</span>
+                        </nav>
+                    )}
                     <h1>{lesson.title}</h1>
                 </div>
 
-                {lesson.video_url && (
+                {/* Arrives with the saved progress, so the player can resume from it */}
+                {video && (
                     <div className="content-box">
                         <h2>Video</h2>
-                        <div className="video-container">
-                            {lesson.video_type === 'url' && (
-                                <iframe
-                                    src={lesson.video_url.replace('watch?v=', 'embed/')}
-                                    frameBorder="0"
-                                    allowFullScreen
-                                    width="100%"
-                                    height="450"
-                                ></iframe>
-                            )}
-                        </div>
+                        <VideoPlayer
+                            video={video}
+                            title={lesson.title}
+                            resumeAt={tracking ? watch.resumeAt : 0}
+                            onTimeUpdate={tracking ? watch.handleTimeUpdate : undefined}
+                            onPause={tracking ? watch.handlePause : undefined}
+                            onError={tracking ? watch.handlePlayerError : undefined}
+                        />
+                        {tracking && (
+                            <p className="hint-text">
+                                You have watched {watch.percentWatched}% of this video
+                                {minWatchPercent > 0 && ` (${minWatchPercent}% needed to complete the lesson)`}.
+                            </p>
+                        )}
+                        {tracking && watch.error && (
+                            <p className="error-text" role="alert">{watch.error}</p>
+                        )}
                     </div>
                 )}
 
                 <div className="content-box">
                     <h2>Lesson Content</h2>
-                    {lesson.content ? (
-                        <div dangerouslySetInnerHTML={{__html: lesson.content}}/>
+                    {!body && !learnerState ? (
+                        <p className="hint-text">Loading lesson...</p>
+                    ) : content ? (
+                        // Sanitized by lib/content.js before it reaches the page
+                        <div className="lesson-content" dangerouslySetInnerHTML={{__html: content}}/>
                     ) : (
                         <p>No content available for this lesson.</p>
                     )}
                 </div>
 
-                {lesson.resources?.length > 0 && (
+                {resources?.length > 0 && (
                     <div className="content-box">
                         <h2>Resources</h2>
-                        <ul>
-                            {lesson.resources.map((resource, index) => (
-                                <li key={index}>{resource.title}</li>
+                        <ul className="resource-list">
+                            {resources.map(resource => (
+                                <li key={resource.id} className="resource-item">
+                                    <span className="resource-icon" aria-hidden="true">{resource.icon}</span>
+                                    {resource.href ? (
+                                        <a
+                                            href={getResourceHref(resource, enrollmentId)}
+                                            {...(resource.external
+                                                ? {target: '_blank', rel: 'noopener noreferrer'}
+                                                : {download: true})}
+                                        >
+                                            {resource.title}
+                                        </a>
+                                    ) : (
+                                        <span>{resource.title}</span>
+                                    )}
+                                    {(resource.typeLabel || resource.size) && (
+                                        <span className="resource-meta">
+                                            {[resource.typeLabel, resource.size].filter(Boolean).join(' · ')}
+                                        </span>
+                                    )}
+                                </li>
                             ))}
                         </ul>
                     </div>
                 )}
 
-                {lesson.quiz && lesson.quiz.length > 0 && (
+                {quizSummary && (
                     <div className="content-box">
                         <h2>Quiz</h2>
-                        <QuizComponent quizData={lesson.quiz}/>
+                        <Quiz
+                            lessonId={lesson.id}
+                            enrollmentId={enrollmentId}
+                            summary={quizSummary}
+                            onAttempt={attempt => setAttempts(prev => [attempt, ...prev])}
+                        />
+                        {attempts.length > 0 && (
+                            <div className="attempt-history">
+                                <h3>Your Attempts</h3>
+                                <p>Best score: <strong>{bestScore}%</strong></p>
+                                <table className="attempts-table">
+                                    <thead>
+                                    <tr>
+                                        <th>Date</th>
+                                        <th>Score</th>
+                                        <th>Result</th>
+                                    </tr>
+                                    </thead>
+                                    <tbody>
+                                    {attempts.map(attempt => (
+                                        <tr key={attempt.id}>
+                                            <td>{formatDate(attempt.submitted_at)}</td>
+                                            <td>{attempt.score}% ({attempt.correct_count}/{attempt.total_questions})</td>
+                                            <td>{attempt.passed ? 'Passed' : 'Not passed'}</td>
+                                        </tr>
+                                    ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
                     </div>
                 )}
 
                 <div className="content-box">
                     <div className="actions">
-                        {completedUrl &&
-                            <Link href={completedUrl}><span className="status-text">Mark as Completed</span>
-                            </Link>
+                        {enrollmentId && ['default', 'pending', 'error'].includes(buttonState) &&
+                            <button onClick={handleMarkCompleted} disabled={buttonState === 'pending' || !canComplete}>
+                                {buttonState === 'pending' ? 'Saving...' : 'Mark as Completed'}
+                            </button>
+                        }
+                        {enrollmentId && buttonState === 'default' && !quizPassed &&
+                            <span className="hint-text">Pass the quiz to complete this lesson</span>
+                        }
+                        {enrollmentId && buttonState === 'default' && !watchedEnough &&
+                            <span className="hint-text">Watch at least {minWatchPercent}% of the video to complete this lesson</span>
+                        }
+                        {buttonState === 'loading' &&
+                            <span className="hint-text">Loading your progress...</span>
                         }
-                        {!completedUrl &&
+                        {buttonState === 'completed' &&
+                            <span className="status-text">Lesson completed! Returning to enrollment...</span>
+                        }
+                        {buttonState === 'alreadyCompleted' &&
                             <span className="status-text">Lesson already completed</span>
                         }
+                        {buttonState === 'error' &&
+                            <span className="error-text">{errorMessage}</span>
+                        }
                         <div className="secondary-button">
-                            {callbackUrl &&
-                                <Link href={callbackUrl}>Back to {callbackUrl ? 'Enrollment' : 'Home'}
-                                </Link>
-                            }
+                            <Link href={callbackUrl || '/'}>Back to {callbackUrl ? 'Enrollment' : 'Home'}
+                            </Link>
                         </div>
                     </div>
                 </div>
+
+                {(previousLesson || nextLesson) && (
+                    <nav className="lesson-nav" aria-label="Lessons">
+                        {previousLesson ? (
+                            <Link href={previousLesson.url} className="lesson-nav-link">
+                                <span className="lesson-nav-label">← Previous</span>
+                                <span>{previousLesson.title}</span>
+                            </Link>
+                        ) : <span/>}
+                        {nextLesson && (nextLesson.locked ? (
+                            <span className="lesson-nav-link lesson-nav-next lesson-nav-locked">
+                                <span className="lesson-nav-label">Next (locked) →</span>
+                                <span>{nextLesson.title}</span>
+                            </span>
+                        ) : (
+                            <Link href={nextLesson.url} className="lesson-nav-link lesson-nav-next">
+                                <span className="lesson-nav-label">Next →</span>
+                                <span>{nextLesson.title}</span>
+                            </Link>
+                        ))}
+                    </nav>
+                )}
             </main>
 
             <style jsx>{`
@@ -425,25 +418,107 @@ export default function Page({lesson, error, errorStatus, stack, isCompleted, ca
                     box-shadow: 0 2px 4px rgba(0, 0, 0, 0.05);
                 }
 
-                .video-container {
-                    position: relative;
-                    padding-bottom: 56.25%;
-                    height: 0;
-                    overflow: hidden;
+                .breadcrumb {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 0.5rem;
+                    margin-bottom: 0.5rem;
+                    color: #666;
+                    font-size: 0.9rem;
+                }
+
+                .breadcrumb :global(a) {
+                    color: #0070f3;
+                    text-decoration: none;
+                }
+
+                .lesson-nav {
+                    display: flex;
+                    justify-content: space-between;
+                    gap: 1rem;
+                    margin-bottom: 2rem;
+                }
+
+                .lesson-nav :global(.lesson-nav-link) {
+                    display: flex;
+                    flex-direction: column;
+                    max-width: 45%;
+                    padding: 0.75rem 1rem;
+                    border: 1px solid #e0e0e0;
+                    border-radius: 5px;
+                    background-color: #ffffff;
+                    color: #0070f3;
+                    text-decoration: none;
+                }
+
+                .lesson-nav :global(.lesson-nav-link:hover) {
+                    border-color: #0070f3;
+                }
+
+                .lesson-nav :global(.lesson-nav-locked) {
+                    color: #888;
+                    border-style: dashed;
+                }
+
+                .lesson-nav :global(.lesson-nav-locked:hover) {
+                    border-color: #e0e0e0;
+                }
+
+                .lesson-nav :global(.lesson-nav-next) {
+                    text-align: right;
+                }
+
+                .lesson-nav :global(.lesson-nav-label) {
+                    color: #666;
+                    font-size: 0.85rem;
+                }
+
+                .lesson-content :global(img) {
                     max-width: 100%;
-                    margin: 1.5rem 0 1rem;
+                    height: auto;
                 }
 
-                .video-container iframe {
-                    position: absolute;
-                    top: 0;
-                    left: 0;
+                .lesson-content :global(iframe) {
                     width: 100%;
-                    height: 100%;
+                    aspect-ratio: 16 / 9;
+                    border: 0;
+                }
+
+                .lesson-content :global(pre) {
+                    overflow-x: auto;
+                }
+
+                .resource-list {
+                    list-style: none;
+                    padding-left: 0;
+                    margin: 0;
+                }
+
+                .resource-item {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.75rem;
+                    padding: 0.5rem 0;
+                    border-bottom: 1px solid #e0e0e0;
+                }
+
+                .resource-item a {
+                    color: #0070f3;
+                    text-decoration: none;
+                }
+
+                .resource-item a:hover {
+                    text-decoration: underline;
                 }
 
-                .resources ul {
-                    padding-left: 1.5rem;
+                .resource-icon {
+                    font-size: 1.25rem;
+                }
+
+                .resource-meta {
+                    margin-left: auto;
+                    color: #666;
+                    font-size: 0.9rem;
                 }
 
                 .actions {
@@ -488,6 +563,32 @@ export default function Page({lesson, error, errorStatus, stack, isCompleted, ca
                     text-decoration: none;
                 }
 
+                .hint-text {
+                    color: #555;
+                    font-size: 0.9rem;
+                }
+
+                .attempt-history {
+                    margin-top: 1.5rem;
+                }
+
+                .attempts-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                }
+
+                .attempts-table th {
+                    background-color: #e0e0e0;
+                    text-align: left;
+                    padding: 0.5rem 0.75rem;
+                    font-weight: 600;
+                }
+
+                .attempts-table td {
+                    padding: 0.5rem 0.75rem;
+                    border-bottom: 1px solid #e0e0e0;
+                }
+
                 .error-text {
                     padding: 0.5rem 1rem;
                     border-radius: 4px;
@@ -495,13 +596,6 @@ export default function Page({lesson, error, errorStatus, stack, isCompleted, ca
                     color: #c62828;
                 }
 
-                .error-stack {
-                    background-color: #f5f5f5;
-                    padding: 1rem;
-                    overflow-x: auto;
-                    border-radius: 4px;
-                    font-size: 0.9rem;
-                }
             `}</style>
         </div>
     )
@@ -0,0 +1,138 @@
+import {useRouter} from 'next/router';
+import Head from 'next/head';
+import {useState} from 'react';
+import {safeInternalPath} from '@lib/redirects';
+
+export default function LoginPage() {
+    const router = useRouter();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [errorMessage, setErrorMessage] = useState('');
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        setSubmitting(true);
+        setErrorMessage('');
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify({email, password})
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `Request failed with status ${response.status}`);
+            }
+            router.push(safeInternalPath(router.query.next));
+        } catch (err) {
+            setErrorMessage(err.message || 'Sign in failed');
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="container">
+            <Head><title>Sign In | Next.js Starter</title></Head>
+            <main>
+                <div className="content-box">
+                    <h1>Sign In</h1>
+                    <form onSubmit={handleSubmit}>
+                        <label>
+                            Email
+                            <input
+                                type="email"
+                                autoComplete="username"
+                                value={email}
+                                onChange={event => setEmail(event.target.value)}
+                                required
+                            />
+                        </label>
+                        <label>
+                            Password
+                            <input
+                                type="password"
+                                autoComplete="current-password"
+                                value={password}
+                                onChange={event => setPassword(event.target.value)}
+                                required
+                            />
+                        </label>
+                        {errorMessage && <p className="error-text">{errorMessage}</p>}
+                        <button type="submit" disabled={submitting}>
+                            {submitting ? 'Signing in...' : 'Sign In'}
+                        </button>
+                    </form>
+                </div>
+            </main>
+
+            <style jsx>{`
+                .container {
+                    max-width: 480px;
+                    margin: 0 auto;
+                    padding: 0 1rem;
+                }
+
+                h1 {
+                    margin-top: 0;
+                    margin-bottom: 1rem;
+                }
+
+                .content-box {
+                    width: 100%;
+                    padding: 1.5rem;
+                    background-color: #ffffff;
+                    border-radius: 5px;
+                    border: 1px solid #e0e0e0;
+                    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.05);
+                }
+
+                form {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 1rem;
+                }
+
+                label {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.25rem;
+                    font-weight: 500;
+                }
+
+                input {
+                    padding: 0.5rem 0.75rem;
+                    border: 1px solid #ccc;
+                    border-radius: 4px;
+                    font-size: 1rem;
+                }
+
+                button {
+                    padding: 0.5rem 1rem;
+                    background-color: #0070f3;
+                    color: white;
+                    border: none;
+                    border-radius: 4px;
+                    cursor: pointer;
+                }
+
+                button:hover {
+                    background-color: #005dca;
+                }
+
+                button:disabled {
+                    background-color: #cccccc;
+                    cursor: not-allowed;
+                }
+
+                .error-text {
+                    margin: 0;
+                    padding: 0.5rem 1rem;
+                    border-radius: 4px;
+                    background-color: #ffebee;
+                    color: #c62828;
+                }
+            `}</style>
+        </div>
+    );
+}
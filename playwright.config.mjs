@@ -0,0 +1,45 @@
+import {defineConfig, devices} from '@playwright/test';
+import {MOCK_DIRECTUS_URL} from './test/e2e/helpers.js';
+import {MOCK_TOKEN} from './test/mock-directus/fixtures.mjs';
+
+// Ports apart from the usual 3000 and Directus's 8055, so a running dev setup
+// is never mistaken for the test servers
+const APP_PORT = 3100;
+
+export default defineConfig({
+    testDir: './test/e2e',
+    // Tests share the mock Directus, which each one resets
+    workers: 1,
+    fullyParallel: false,
+    forbidOnly: Boolean(process.env.CI),
+    retries: process.env.CI ? 1 : 0,
+    timeout: 60 * 1000,
+    reporter: process.env.CI ? 'github' : 'list',
+    use: {
+        baseURL: `http://localhost:${APP_PORT}`,
+        trace: 'retain-on-failure'
+    },
+    projects: [
+        {name: 'chromium', use: {...devices['Desktop Chrome']}}
+    ],
+    webServer: [
+        {
+            command: `node scripts/mock-directus.mjs ${new URL(MOCK_DIRECTUS_URL).port}`,
+            url: `${MOCK_DIRECTUS_URL}/server/ping`,
+            reuseExistingServer: false
+        },
+        {
+            // A production build, so lesson pages are served the way they are deployed
+            command: `npx next build && npx next start -p ${APP_PORT}`,
+            url: `http://localhost:${APP_PORT}/login`,
+            reuseExistingServer: false,
+            timeout: 10 * 60 * 1000,
+            env: {
+                OPTICAL_API_ENDPOINT: MOCK_DIRECTUS_URL,
+                DIRECTUS_API_TOKEN: MOCK_TOKEN,
+                PUBLIC_URL: `http://localhost:${APP_PORT}`,
+                SESSION_SECRET: 'e2e-session-secret-0123456789abcdef'
+            }
+        }
+    ]
+});
@@ -0,0 +1,57 @@
+// Recomputes percent_complete and is_completed for existing enrollments.
+//
+//   node scripts/backfill-progress.mjs [--dry-run] [enrollmentId ...]
+//
+// Without ids every enrollment is processed. Settings come from the same
+// environment variables (and .env files) as the app.
+import nextEnv from '@next/env';
+import {listItems} from '../lib/directus.js';
+import {recalculateProgress} from '../lib/progress.js';
+
+const PAGE_SIZE = 100;
+
+async function* allEnrollmentIds() {
+    for (let page = 1; ; page++) {
+        const enrollments = await listItems('lms_enrollments', {fields: ['id'], sort: ['id'], limit: PAGE_SIZE, page});
+        for (const enrollment of enrollments) {
+            yield enrollment.id;
+        }
+        if (enrollments.length < PAGE_SIZE) return;
+    }
+}
+
+async function main() {
+    nextEnv.loadEnvConfig(process.cwd());
+
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const ids = args.filter(arg => !arg.startsWith('--'));
+
+    let checked = 0;
+    let updated = 0;
+    let failed = 0;
+
+    for await (const enrollmentId of ids.length > 0 ? ids : allEnrollmentIds()) {
+        checked++;
+        try {
+            const result = await recalculateProgress(enrollmentId, {dryRun});
+            if (result.changed) {
+                updated++;
+                console.log(`${dryRun ? '[dry run] ' : ''}enrollment ${result.enrollmentId}: `
+                    + `${result.previous.percentComplete}% -> ${result.percentComplete}%, `
+                    + `completed ${result.previous.isCompleted} -> ${result.isCompleted}`);
+            }
+        } catch (error) {
+            failed++;
+            console.error(`enrollment ${enrollmentId}: ${error.message}`);
+        }
+    }
+
+    console.log(`Checked ${checked} enrollments, ${dryRun ? 'would update' : 'updated'} ${updated}, ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,52 @@
+// Fails the build if the Directus token was inlined into any client asset.
+// Run after `next build`; the token is read from the same environment.
+const fs = require('fs');
+const path = require('path');
+
+const STATIC_DIR = path.join(__dirname, '..', '.next', 'static');
+const SECRET_VARIABLES = ['DIRECTUS_API_TOKEN', 'NEXT_PUBLIC_DIRECTUS_API_TOKEN'];
+
+function* walk(dir) {
+    for (const entry of fs.readdirSync(dir, {withFileTypes: true})) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            yield* walk(fullPath);
+        } else {
+            yield fullPath;
+        }
+    }
+}
+
+function main() {
+    if (!fs.existsSync(STATIC_DIR)) {
+        console.error(`check-client-bundle: ${STATIC_DIR} does not exist, run "next build" first`);
+        process.exit(1);
+    }
+
+    const secrets = SECRET_VARIABLES
+        .map(name => ({name, value: process.env[name]}))
+        .filter(({value}) => value);
+
+    if (secrets.length === 0) {
+        console.warn('check-client-bundle: no token in the environment, nothing to check');
+        return;
+    }
+
+    const leaks = [];
+    for (const file of walk(STATIC_DIR)) {
+        const contents = fs.readFileSync(file, 'utf8');
+        for (const {name, value} of secrets) {
+            if (contents.includes(value)) {
+                leaks.push(`${path.relative(process.cwd(), file)} contains the value of ${name}`);
+            }
+        }
+    }
+
+    if (leaks.length > 0) {
+        console.error(`check-client-bundle: secrets found in client assets:\n${leaks.map(leak => `  - ${leak}`).join('\n')}`);
+        process.exit(1);
+    }
+    console.log('check-client-bundle: no secrets found in .next/static');
+}
+
+main();
@@ -0,0 +1,34 @@
+// Runs the mock Directus from test/mock-directus with its fixture courses, so
+// the app can be developed and browser-tested without a Directus instance.
+//
+//   node scripts/mock-directus.mjs [port]
+//
+// Listens on port 8055 (or MOCK_DIRECTUS_PORT) by default and prints the
+// command that starts the app against it, with a fresh SESSION_SECRET. Sign
+// in as ada@example.com with "password". POST /__mock/reset restores the
+// fixtures.
+import {randomBytes} from 'crypto';
+import {MOCK_PASSWORD, MOCK_TOKEN, USERS} from '../test/mock-directus/fixtures.mjs';
+import {createMockDirectus} from '../test/mock-directus/server.mjs';
+
+const DEFAULT_PORT = 8055;
+
+async function main() {
+    const port = Number(process.argv[2] || process.env.MOCK_DIRECTUS_PORT || DEFAULT_PORT);
+    const directus = createMockDirectus();
+    const url = await directus.listen(port);
+
+    console.log(`Mock Directus listening on ${url}`);
+    console.log('Start the app against it with:');
+    console.log(`  OPTICAL_API_ENDPOINT=${url} DIRECTUS_API_TOKEN=${MOCK_TOKEN} SESSION_SECRET=${randomBytes(32).toString('hex')} npm run dev`);
+    console.log(`  Users: ${Object.values(USERS).map(user => user.email).join(', ')} (password "${MOCK_PASSWORD}")`);
+
+    const stop = () => directus.close().then(() => process.exit(0));
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,21 @@
+import {expect} from '@playwright/test';
+import {MOCK_PASSWORD} from '../mock-directus/fixtures.mjs';
+
+// Where playwright.config.mjs starts scripts/mock-directus.mjs. The port is
+// apart from Directus's usual 8055 so a real instance is never reset.
+export const MOCK_DIRECTUS_URL = 'http://127.0.0.1:8155';
+
+// Restores the fixture courses, enrollments and users
+export async function resetDirectus(request) {
+    const response = await request.post(`${MOCK_DIRECTUS_URL}/__mock/reset`);
+    expect(response.ok()).toBeTruthy();
+}
+
+// Signs in through the login page and waits to land on `next`
+export async function signIn(page, email, next) {
+    await page.goto(`/login?next=${encodeURIComponent(next)}`);
+    await page.getByLabel('Email').fill(email);
+    await page.getByLabel('Password').fill(MOCK_PASSWORD);
+    await page.getByRole('button', {name: 'Sign In'}).click();
+    await expect(page).toHaveURL(next);
+}
@@ -0,0 +1,61 @@
+import {expect, test} from '@playwright/test';
+import {resetDirectus, signIn} from './helpers.js';
+
+test.beforeEach(async ({request}) => {
+    await resetDirectus(request);
+});
+
+test('a learner completes a lesson from their enrollment page', async ({page}) => {
+    await signIn(page, 'ada@example.com', '/enrollments/1');
+    await expect(page.getByText('0% complete')).toBeVisible();
+
+    await page.getByRole('button', {name: 'Start: How the Web Works'}).click();
+    await expect(page).toHaveURL('/lessons/1?callback=%2Fenrollments%2F1');
+    await expect(page.getByRole('heading', {level: 1})).toHaveText('How the Web Works');
+    await expect(page.locator('.lesson-content')).toContainText('Browsers ask servers for HTML.');
+    await expect(page.locator('.lesson-content script')).toHaveCount(0);
+    await expect(page.getByRole('link', {name: 'HTML cheat sheet'})).toHaveAttribute(
+        'href', '/api/lessons/1/resources/1?enrollmentId=1');
+
+    await page.getByRole('button', {name: 'Mark as Completed'}).click();
+    await expect(page.getByText('Lesson completed! Returning to enrollment...')).toBeVisible();
+
+    await expect(page).toHaveURL('/enrollments/1');
+    await expect(page.getByText('25% complete')).toBeVisible();
+    await expect(page.getByRole('button', {name: 'Continue: HTML Elements'})).toBeVisible();
+});
+
+test('a completed lesson stays completed', async ({page}) => {
+    await signIn(page, 'grace@example.com', '/lessons/1?callback=%2Fenrollments%2F2');
+
+    await expect(page.getByText('Lesson already completed')).toBeVisible();
+    await expect(page.getByRole('button', {name: 'Mark as Completed'})).toHaveCount(0);
+});
+
+test('lessons that have not been released cannot be opened', async ({page}) => {
+    await signIn(page, 'ada@example.com', '/lessons/3?callback=%2Fenrollments%2F1');
+
+    await expect(page.getByRole('heading', {name: 'Error Loading Lesson'})).toBeVisible();
+    await expect(page.getByText(/This lesson opens on/)).toBeVisible();
+    await expect(page.locator('.lesson-content')).toHaveCount(0);
+
+    // Nor is its content in the static page anyone can fetch
+    const response = await page.request.get('/lessons/3');
+    expect(response.ok()).toBeTruthy();
+    expect(await response.text()).not.toContain('Selectors pick the elements');
+});
+
+test('lessons every learner may open are served in full from the static page', async ({page}) => {
+    const response = await page.request.get('/lessons/1');
+
+    expect(response.ok()).toBeTruthy();
+    expect(await response.text()).toContain('Browsers ask servers for');
+});
+
+test('signed-out visitors are asked to sign in', async ({page}) => {
+    await page.goto('/lessons/1?callback=%2Fenrollments%2F1');
+
+    await expect(page.getByText('Status: 401')).toBeVisible();
+    await page.getByRole('button', {name: 'Sign In'}).click();
+    await expect(page).toHaveURL(/\/login\?next=/);
+});
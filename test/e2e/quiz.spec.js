@@ -0,0 +1,53 @@
+import {expect, test} from '@playwright/test';
+import {resetDirectus, signIn} from './helpers.js';
+
+const QUIZ_LESSON = '/lessons/2?callback=%2Fenrollments%2F1';
+
+test.beforeEach(async ({request}) => {
+    await resetDirectus(request);
+});
+
+test('a learner passes the quiz and then completes the lesson', async ({page}) => {
+    await signIn(page, 'ada@example.com', QUIZ_LESSON);
+    await expect(page.getByText('3 questions. You need 70% to pass.')).toBeVisible();
+    await expect(page.getByRole('button', {name: 'Mark as Completed'})).toBeDisabled();
+    await expect(page.getByText('Pass the quiz to complete this lesson')).toBeVisible();
+
+    await page.getByRole('button', {name: 'Start Quiz'}).click();
+    await page.getByLabel('<body>', {exact: true}).check();
+    await page.getByLabel('<br>', {exact: true}).check();
+    await page.getByLabel('<img>', {exact: true}).check();
+    await page.getByLabel('True', {exact: true}).check();
+    await page.getByRole('button', {name: 'Submit Answers'}).click();
+
+    await expect(page.getByText('You got 3 out of 3 questions correct.')).toBeVisible();
+    await expect(page.getByText('Score: 100% — Passed')).toBeVisible();
+    await expect(page.getByRole('row', {name: /100% \(3\/3\)\s*Passed/})).toBeVisible();
+
+    await page.getByRole('button', {name: 'Mark as Completed'}).click();
+    await expect(page).toHaveURL('/enrollments/1');
+    await expect(page.getByText('25% complete')).toBeVisible();
+});
+
+test('a failed attempt keeps the lesson open and can be retaken', async ({page}) => {
+    await signIn(page, 'ada@example.com', QUIZ_LESSON);
+
+    await page.getByRole('button', {name: 'Start Quiz'}).click();
+    await page.getByLabel('<head>', {exact: true}).check();
+    await page.getByLabel('<p>', {exact: true}).check();
+    await page.getByLabel('False', {exact: true}).check();
+    await page.getByRole('button', {name: 'Submit Answers'}).click();
+
+    await expect(page.getByText('Score: 0% — Not passed (70% needed)')).toBeVisible();
+    await expect(page.getByText('The correct answers are shown once you pass.')).toBeVisible();
+    await expect(page.getByText(/^Incorrect/)).toHaveCount(0);
+    await expect(page.getByRole('button', {name: 'Mark as Completed'})).toBeDisabled();
+
+    // Attempts are stored, so they are still listed after a reload
+    await page.reload();
+    await expect(page.getByRole('row', {name: /0% \(0\/3\)\s*Not passed/})).toBeVisible();
+
+    await page.getByRole('button', {name: 'Start Quiz'}).click();
+    await expect(page.getByLabel('<head>', {exact: true})).not.toBeChecked();
+    await expect(page.getByRole('button', {name: 'Submit Answers'})).toBeVisible();
+});
@@ -0,0 +1,174 @@
+// Seed data for the mock Directus in server.mjs. Rows are keyed by id and keep
+// many-to-one fields as plain ids; one-to-many fields (modules, lessons,
+// lessons_completed, ...) are worked out from the rows that point back.
+//
+// Two published courses and a draft:
+//   1 "Web Foundations": "Getting Started" (lessons 1-2, lesson 2 has a quiz)
+//     and "Styling" (lessons 3-4, sequential, not released until 14 days after
+//     enrolling; lesson 4 also requires lesson 2)
+//   2 "Command Line Basics": one module with lesson 5
+//   3 "Unpublished Course" (draft)
+// Ada (a learner) holds enrollments 1 and 3, Grace (a learner) holds
+// enrollment 2 with lesson 1 completed, and Alan is an instructor. Every
+// password is "password".
+
+// The static token the app is configured with (DIRECTUS_API_TOKEN)
+export const MOCK_TOKEN = 'mock-directus-token';
+
+export const MOCK_PASSWORD = 'password';
+
+export const USERS = {
+    ada: {id: 'user-ada', email: 'ada@example.com'},
+    grace: {id: 'user-grace', email: 'grace@example.com'},
+    alan: {id: 'user-alan', email: 'alan@example.com'}
+};
+
+export const IMAGE_FILE_ID = '6f1d7a52-3c0e-4f5b-9d27-1a8e4b6c2f90';
+export const NOTES_FILE_ID = '0c9e4d3a-8b71-4e26-a5f0-7d2b19c6e843';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function createFixtures() {
+    // Enrollments start a day before the fixtures are created, so the
+    // "Styling" module is always still on its drip schedule
+    const enrolledAt = new Date(Date.now() - DAY_MS).toISOString();
+    const enrollment = fields => ({
+        date_created: enrolledAt,
+        date_updated: enrolledAt,
+        percent_complete: 0,
+        is_completed: false,
+        ...fields
+    });
+
+    return {
+        directus_roles: {
+            'role-learner': {id: 'role-learner', name: 'Learner'},
+            'role-instructor': {id: 'role-instructor', name: 'Instructor'}
+        },
+        directus_users: {
+            [USERS.ada.id]: {
+                ...USERS.ada, first_name: 'Ada', last_name: 'Lovelace', role: 'role-learner', password: MOCK_PASSWORD
+            },
+            [USERS.grace.id]: {
+                ...USERS.grace, first_name: 'Grace', last_name: 'Hopper', role: 'role-learner', password: MOCK_PASSWORD
+            },
+            [USERS.alan.id]: {
+                ...USERS.alan, first_name: 'Alan', last_name: 'Turing', role: 'role-instructor', password: MOCK_PASSWORD
+            }
+        },
+        directus_files: {
+            [IMAGE_FILE_ID]: {
+                id: IMAGE_FILE_ID,
+                filename_download: 'page-anatomy.png',
+                type: 'image/png',
+                filesize: 48213,
+                width: 1200,
+                height: 800,
+                description: 'The parts of a web page',
+                contents: 'PNG'
+            },
+            [NOTES_FILE_ID]: {
+                id: NOTES_FILE_ID,
+                filename_download: 'html-cheatsheet.pdf',
+                type: 'application/pdf',
+                filesize: 182734,
+                width: null,
+                height: null,
+                description: null,
+                contents: '%PDF-1.4 HTML cheat sheet'
+            }
+        },
+        lms_courses: {
+            1: {id: 1, title: 'Web Foundations', description: 'Build your first web pages.', status: 'published', unlock_mode: 'open'},
+            2: {id: 2, title: 'Command Line Basics', description: 'Find your way around a shell.', status: 'published', unlock_mode: 'open'},
+            3: {id: 3, title: 'Unpublished Course', description: null, status: 'draft', unlock_mode: 'open'}
+        },
+        lms_modules: {
+            1: {id: 1, course: 1, title: 'Getting Started', sort: 1, unlock_mode: null, release_after_days: null, release_date: null},
+            2: {id: 2, course: 1, title: 'Styling', sort: 2, unlock_mode: 'sequential', release_after_days: 14, release_date: null},
+            3: {id: 3, course: 2, title: 'First Commands', sort: 1, unlock_mode: null, release_after_days: null, release_date: null},
+            4: {id: 4, course: 3, title: 'Drafts', sort: 1, unlock_mode: null, release_after_days: null, release_date: null}
+        },
+        lms_lessons: {
+            1: lesson({
+                id: 1,
+                module: 1,
+                sort: 1,
+                title: 'How the Web Works',
+                content: '<p>Browsers ask servers for <strong>HTML</strong>.</p>'
+                    + `<img src="/assets/${IMAGE_FILE_ID}" alt="Page anatomy">`
+                    + '<script>alert("not sanitized")</script>'
+            }),
+            2: lesson({
+                id: 2,
+                module: 1,
+                sort: 2,
+                title: 'HTML Elements',
+                content: '<p>Elements are the building blocks of a page.</p>',
+                quiz: [
+                    {
+                        question_key: 'html-tag',
+                        question: 'Which element holds the visible page content?',
+                        choices: [{choice: 'a', text: '<head>'}, {choice: 'b', text: '<body>'}, {choice: 'c', text: '<meta>'}],
+                        answer: 'b'
+                    },
+                    {
+                        question_key: 'void-elements',
+                        type: 'multiple',
+                        question: 'Which elements have no closing tag?',
+                        choices: [{choice: 'a', text: '<br>'}, {choice: 'b', text: '<p>'}, {choice: 'c', text: '<img>'}],
+                        answer: ['a', 'c']
+                    },
+                    {
+                        question_key: 'semantic',
+                        type: 'true_false',
+                        question: '<nav> is a semantic element.',
+                        answer: true
+                    }
+                ],
+                quiz_pass_threshold: 70
+            }),
+            3: lesson({id: 3, module: 2, sort: 1, title: 'Selectors', content: '<p>Selectors pick the elements a rule applies to.</p>'}),
+            4: lesson({id: 4, module: 2, sort: 2, title: 'Layout', content: '<p>Flexbox and grid.</p>'}),
+            5: lesson({id: 5, module: 3, sort: 1, title: 'Navigating Directories', content: '<p><code>cd</code> and <code>ls</code>.</p>'}),
+            6: lesson({id: 6, module: 4, sort: 1, title: 'Draft Lesson', content: null})
+        },
+        // lms_lessons.prerequisites
+        lms_lessons_lessons: {
+            1: {id: 1, lms_lessons_id: 4, related_lms_lessons_id: 2}
+        },
+        lms_lesson_resources: {
+            1: {id: 1, lesson: 1, title: 'HTML cheat sheet', sort: 1, file: NOTES_FILE_ID, url: null},
+            2: {id: 2, lesson: 1, title: 'MDN: How the web works', sort: 2, file: null, url: 'https://developer.mozilla.org/en-US/docs/Learn'}
+        },
+        lms_enrollments: {
+            1: enrollment({id: 1, course: 1, user_enrolled: USERS.ada.id}),
+            2: enrollment({id: 2, course: 1, user_enrolled: USERS.grace.id, percent_complete: 25}),
+            3: enrollment({id: 3, course: 2, user_enrolled: USERS.ada.id})
+        },
+        // lms_enrollments.lessons_completed
+        lms_enrollments_lms_lessons: {
+            1: {id: 1, lms_enrollments_id: 2, lms_lessons_id: 1}
+        },
+        lms_quiz_attempts: {},
+        lms_video_progress: {}
+    };
+}
+
+function lesson(fields) {
+    return {
+        content: null,
+        quiz: null,
+        quiz_pass_threshold: null,
+        quiz_question_count: null,
+        quiz_shuffle: false,
+        quiz_time_limit: null,
+        video_type: null,
+        video_url: null,
+        video_file: null,
+        video_captions: null,
+        video_duration: null,
+        video_min_watch_percent: null,
+        ...fields
+    };
+}
@@ -0,0 +1,471 @@
+// A stand-in for the parts of the Directus REST API this app talks to:
+// /items (GET, POST, PATCH, DELETE), /files, /assets, /auth, /users/me and
+// /server/ping, answering from the in-memory rows of fixtures.mjs. It follows
+// Directus where the app depends on it: `fields` picks and expands relations,
+// `filter`, `sort`, `limit` and `page` work on lists, one-to-many fields take
+// {create, update, delete} on PATCH, and missing items answer 403.
+//
+// Tests can make any request fail or return odd data with intercept(), and
+// reset() restores the fixtures between tests:
+//
+//   const directus = createMockDirectus();
+//   const url = await directus.listen();
+//   directus.intercept('GET', '/items/lms_lessons/1', {status: 503});
+//
+// scripts/mock-directus.mjs runs it on its own for `next dev` and the
+// browser tests, which reset it through POST /__mock/reset.
+
+import {randomUUID} from 'node:crypto';
+import http from 'node:http';
+import {createFixtures, MOCK_TOKEN} from './fixtures.mjs';
+
+// Relational fields per collection: m2o holds the related collection, o2m the
+// collection whose `field` points back
+const RELATIONS = {
+    directus_users: {
+        role: {m2o: 'directus_roles'}
+    },
+    lms_courses: {
+        modules: {o2m: 'lms_modules', field: 'course'}
+    },
+    lms_modules: {
+        course: {m2o: 'lms_courses'},
+        lessons: {o2m: 'lms_lessons', field: 'module'}
+    },
+    lms_lessons: {
+        module: {m2o: 'lms_modules'},
+        prerequisites: {o2m: 'lms_lessons_lessons', field: 'lms_lessons_id'},
+        resources: {o2m: 'lms_lesson_resources', field: 'lesson'},
+        video_file: {m2o: 'directus_files'}
+    },
+    lms_lessons_lessons: {
+        lms_lessons_id: {m2o: 'lms_lessons'},
+        related_lms_lessons_id: {m2o: 'lms_lessons'}
+    },
+    lms_lesson_resources: {
+        lesson: {m2o: 'lms_lessons'},
+        file: {m2o: 'directus_files'}
+    },
+    lms_enrollments: {
+        course: {m2o: 'lms_courses'},
+        user_enrolled: {m2o: 'directus_users'},
+        lessons_completed: {o2m: 'lms_enrollments_lms_lessons', field: 'lms_enrollments_id'}
+    },
+    lms_enrollments_lms_lessons: {
+        lms_enrollments_id: {m2o: 'lms_enrollments'},
+        lms_lessons_id: {m2o: 'lms_lessons'}
+    },
+    lms_quiz_attempts: {
+        enrollment: {m2o: 'lms_enrollments'},
+        lesson: {m2o: 'lms_lessons'}
+    },
+    lms_video_progress: {
+        enrollment: {m2o: 'lms_enrollments'},
+        lesson: {m2o: 'lms_lessons'}
+    }
+};
+
+// Columns that are never returned, as in Directus
+const HIDDEN_FIELDS = {
+    directus_users: ['password'],
+    directus_files: ['contents']
+};
+
+const ACCESS_TOKEN_LIFETIME_MS = 15 * 60 * 1000;
+const DEFAULT_LIMIT = 100;
+
+class MockError extends Error {
+    constructor(status, message, code) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const forbidden = () => new MockError(403, 'You don\'t have permission to access this.', 'FORBIDDEN');
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+// "a,b.c,b.d" -> {a: true, b: {c: true, d: true}}
+function parseFields(fields) {
+    const tree = {};
+    for (const path of fields.split(',').map(field => field.trim()).filter(Boolean)) {
+        let node = tree;
+        const parts = path.split('.');
+        parts.forEach((part, index) => {
+            if (index === parts.length - 1) {
+                node[part] = node[part] || true;
+            } else {
+                node[part] = typeof node[part] === 'object' ? node[part] : {};
+                node = node[part];
+            }
+        });
+    }
+    return tree;
+}
+
+export function createMockDirectus({fixtures = createFixtures, token = MOCK_TOKEN} = {}) {
+    let db = fixtures();
+    let sessions = new Map();
+    let intercepts = [];
+    const requests = [];
+    let server = null;
+
+    const table = collection => {
+        if (!db[collection]) throw forbidden();
+        return db[collection];
+    };
+
+    const children = (relation, id) => Object.values(table(relation.o2m))
+        .filter(row => sameId(row[relation.field], id))
+        .sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0) || a.id - b.id);
+
+    function project(collection, row, tree) {
+        const relations = RELATIONS[collection] || {};
+        const hidden = HIDDEN_FIELDS[collection] || [];
+        const item = {};
+
+        if (tree['*']) {
+            for (const [name, value] of Object.entries(row)) {
+                if (!hidden.includes(name)) item[name] = value ?? null;
+            }
+            for (const [name, relation] of Object.entries(relations)) {
+                if (relation.o2m) item[name] = children(relation, row.id).map(child => child.id);
+            }
+        }
+
+        for (const [name, nested] of Object.entries(tree)) {
+            if (name === '*' || hidden.includes(name)) continue;
+            const relation = relations[name];
+            if (relation?.o2m) {
+                item[name] = children(relation, row.id)
+                    .map(child => nested === true ? child.id : project(relation.o2m, child, nested));
+            } else if (relation?.m2o && nested !== true) {
+                const related = row[name] == null ? null : table(relation.m2o)[row[name]];
+                item[name] = related ? project(relation.m2o, related, nested) : null;
+            } else {
+                item[name] = row[name] ?? null;
+            }
+        }
+        return item;
+    }
+
+    function matches(collection, row, filter) {
+        return Object.entries(filter).every(([key, condition]) => {
+            if (key === '_and') return condition.every(part => matches(collection, row, part));
+            if (key === '_or') return condition.some(part => matches(collection, row, part));
+
+            const relation = RELATIONS[collection]?.[key];
+            const operators = Object.keys(condition);
+            if (relation?.m2o && operators.some(operator => !operator.startsWith('_'))) {
+                const related = table(relation.m2o)[row[key]];
+                return Boolean(related) && matches(relation.m2o, related, condition);
+            }
+
+            const value = row[key];
+            return operators.every(operator => {
+                const expected = condition[operator];
+                switch (operator) {
+                    case '_eq': return String(value) === String(expected);
+                    case '_neq': return String(value) !== String(expected);
+                    case '_in': return [].concat(expected).map(String).includes(String(value));
+                    case '_nin': return ![].concat(expected).map(String).includes(String(value));
+                    case '_null': return (value == null) === Boolean(expected);
+                    case '_nnull': return (value != null) === Boolean(expected);
+                    default: throw new MockError(400, `Unsupported filter operator "${operator}"`, 'INVALID_QUERY');
+                }
+            });
+        });
+    }
+
+    function parseQuery(params) {
+        const parseJson = name => {
+            if (!params.has(name)) return null;
+            try {
+                return JSON.parse(params.get(name));
+            } catch {
+                throw new MockError(400, `Invalid JSON in "${name}"`, 'INVALID_QUERY');
+            }
+        };
+        return {
+            fields: parseFields(params.get('fields') || '*'),
+            filter: parseJson('filter'),
+            sort: (params.get('sort') || '').split(',').filter(Boolean),
+            limit: params.has('limit') ? Number(params.get('limit')) : DEFAULT_LIMIT,
+            page: params.has('page') ? Number(params.get('page')) : 1
+        };
+    }
+
+    function listRows(collection, rows, query) {
+        let result = query.filter ? rows.filter(row => matches(collection, row, query.filter)) : [...rows];
+        // Sorting on related fields is not supported and leaves the order alone
+        for (const field of [...query.sort].reverse().filter(field => !field.includes('.'))) {
+            const descending = field.startsWith('-');
+            const name = descending ? field.slice(1) : field;
+            result.sort((a, b) => {
+                const order = a[name] == null ? -1 : b[name] == null ? 1 : a[name] < b[name] ? -1 : a[name] > b[name] ? 1 : 0;
+                return descending ? -order : order;
+            });
+        }
+        if (query.limit >= 0) {
+            result = result.slice((query.page - 1) * query.limit, query.page * query.limit);
+        }
+        return result.map(row => project(collection, row, query.fields));
+    }
+
+    const nextId = rows => Math.max(0, ...Object.keys(rows).map(Number).filter(Number.isFinite)) + 1;
+
+    function insert(collection, data) {
+        const rows = table(collection);
+        const id = data.id ?? nextId(rows);
+        rows[id] = {id, date_created: new Date().toISOString(), ...data};
+        return rows[id];
+    }
+
+    // Plain fields are assigned; one-to-many fields take {create, update, delete}
+    function update(collection, row, data) {
+        for (const [name, value] of Object.entries(data)) {
+            const relation = RELATIONS[collection]?.[name];
+            if (!relation?.o2m) {
+                row[name] = value;
+                continue;
+            }
+            const related = table(relation.o2m);
+            for (const child of value.create || []) {
+                insert(relation.o2m, {...child, [relation.field]: row.id});
+            }
+            for (const {id, ...changes} of value.update || []) {
+                if (related[id]) Object.assign(related[id], changes);
+            }
+            for (const id of value.delete || []) {
+                delete related[id];
+            }
+        }
+        row.date_updated = new Date().toISOString();
+        return row;
+    }
+
+    function handleItems(method, [collection, id], query, body) {
+        const rows = table(collection);
+
+        if (id === undefined) {
+            if (method === 'GET') return listRows(collection, Object.values(rows), query);
+            if (method === 'POST') {
+                const created = [].concat(body).map(data => insert(collection, data));
+                const items = created.map(row => project(collection, row, query.fields));
+                return Array.isArray(body) ? items : items[0];
+            }
+            throw new MockError(405, `Method ${method} is not supported on /items/${collection}`, 'ROUTE_NOT_FOUND');
+        }
+
+        const row = rows[id];
+        if (!row) throw forbidden();
+        if (method === 'GET') return project(collection, row, query.fields);
+        if (method === 'PATCH') return project(collection, update(collection, row, body || {}), query.fields);
+        if (method === 'DELETE') {
+            delete rows[id];
+            return undefined;
+        }
+        throw new MockError(405, `Method ${method} is not supported on /items/${collection}/${id}`, 'ROUTE_NOT_FOUND');
+    }
+
+    function issueTokens(userId) {
+        const tokens = {
+            access_token: `access-${randomUUID()}`,
+            refresh_token: `refresh-${randomUUID()}`,
+            expires: ACCESS_TOKEN_LIFETIME_MS
+        };
+        sessions.set(tokens.access_token, userId);
+        sessions.set(tokens.refresh_token, userId);
+        return tokens;
+    }
+
+    function handleAuth(action, body) {
+        if (action === 'login') {
+            const user = Object.values(db.directus_users)
+                .find(row => row.email === body?.email && row.password === body?.password);
+            if (!user) throw new MockError(401, 'Invalid user credentials.', 'INVALID_CREDENTIALS');
+            return issueTokens(user.id);
+        }
+        const userId = sessions.get(body?.refresh_token);
+        if (!String(body?.refresh_token).startsWith('refresh-') || !userId) {
+            throw new MockError(401, 'Invalid user credentials.', 'INVALID_CREDENTIALS');
+        }
+        // Refresh tokens are single use
+        sessions.delete(body.refresh_token);
+        if (action === 'refresh') return issueTokens(userId);
+        if (action === 'logout') return undefined;
+        throw new MockError(404, `Route /auth/${action} doesn't exist.`, 'ROUTE_NOT_FOUND');
+    }
+
+    // Items, files and assets are read with the static token; /users/me with a
+    // user's access token
+    function authorize(bearer, path) {
+        if (path === '/users/me') {
+            const userId = sessions.get(bearer);
+            if (!String(bearer).startsWith('access-') || !userId) {
+                throw new MockError(401, 'Invalid user credentials.', 'INVALID_CREDENTIALS');
+            }
+            return userId;
+        }
+        if (!bearer) throw forbidden();
+        if (bearer !== token) throw new MockError(401, 'Invalid user credentials.', 'INVALID_CREDENTIALS');
+        return null;
+    }
+
+    function route(method, path, params, body, bearer) {
+        const [, section, ...rest] = path.split('/').map(decodeURIComponent);
+
+        if (section === 'auth' && method === 'POST') {
+            return {data: handleAuth(rest[0], body)};
+        }
+
+        const userId = authorize(bearer, path);
+        const query = parseQuery(params);
+        if (path === '/users/me') {
+            return {data: project('directus_users', db.directus_users[userId], query.fields)};
+        }
+        if (section === 'items') {
+            return {data: handleItems(method, rest, query, body)};
+        }
+        if (section === 'files' && method === 'GET') {
+            return {data: rest.length ? handleItems(method, ['directus_files', rest[0]], query)
+                : listRows('directus_files', Object.values(db.directus_files), query)};
+        }
+        if (section === 'assets' && method === 'GET') {
+            const file = db.directus_files[rest[0]];
+            if (!file) throw forbidden();
+            return {file, download: params.has('download')};
+        }
+        throw new MockError(404, `Route ${path} doesn't exist.`, 'ROUTE_NOT_FOUND');
+    }
+
+    function send(res, status, payload, headers = {}) {
+        const text = payload === undefined ? '' : typeof payload === 'string' ? payload : JSON.stringify(payload);
+        res.writeHead(status, {
+            ...(text && typeof payload !== 'string' ? {'Content-Type': 'application/json; charset=utf-8'} : {}),
+            ...headers
+        });
+        res.end(text);
+    }
+
+    async function reply(res, response) {
+        if (response.delay) {
+            await new Promise(resolve => setTimeout(resolve, response.delay));
+        }
+        if (response.destroy) {
+            res.socket.destroy();
+            return;
+        }
+        send(res, response.status ?? 200, response.body, response.headers);
+    }
+
+    async function handle(req, res) {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace(/\/+$/, '') || '/';
+        const text = Buffer.concat(chunks).toString('utf8');
+        const bearer = (req.headers.authorization || '').replace(/^Bearer /, '') || null;
+
+        let body;
+        try {
+            body = text ? JSON.parse(text) : undefined;
+        } catch {
+            return send(res, 400, {errors: [{message: 'Invalid JSON body', extensions: {code: 'INVALID_PAYLOAD'}}]});
+        }
+
+        if (path === '/server/ping') {
+            return send(res, 200, 'pong', {'Content-Type': 'text/plain'});
+        }
+        if (path === '/__mock/reset' && req.method === 'POST') {
+            api.reset();
+            return send(res, 204);
+        }
+
+        const request = {
+            method: req.method, path, query: Object.fromEntries(url.searchParams), body, token: bearer,
+            requestId: req.headers['x-request-id'] ?? null
+        };
+        requests.push(request);
+
+        const intercept = intercepts.find(({method, path: pattern}) =>
+            method === req.method && (pattern instanceof RegExp ? pattern.test(path) : pattern === path));
+        if (intercept) {
+            if (intercept.times !== undefined && --intercept.times === 0) {
+                intercepts = intercepts.filter(other => other !== intercept);
+            }
+            const response = typeof intercept.response === 'function'
+                ? await intercept.response(request)
+                : intercept.response;
+            if (response) return reply(res, response);
+        }
+
+        try {
+            const result = route(req.method, path, url.searchParams, body, bearer);
+            if (result.file) {
+                return send(res, 200, result.file.contents, {
+                    'Content-Type': result.file.type,
+                    'Content-Length': String(Buffer.byteLength(result.file.contents)),
+                    ...(result.download
+                        ? {'Content-Disposition': `attachment; filename="${result.file.filename_download}"`}
+                        : {})
+                });
+            }
+            return result.data === undefined ? send(res, 204) : send(res, 200, {data: result.data});
+        } catch (error) {
+            if (!(error instanceof MockError)) throw error;
+            return send(res, error.status, {errors: [{message: error.message, extensions: {code: error.code}}]});
+        }
+    }
+
+    const api = {
+        // Every request received since the last reset: {method, path, query, body, token}
+        requests,
+
+        get db() {
+            return db;
+        },
+
+        // Answers matching requests with `response` instead: {status, body,
+        // headers, delay, destroy} or a function of the request returning one,
+        // or nothing to let the request through. A string body is sent as is,
+        // so it can be used for responses that are not JSON. With `times` the
+        // intercept is dropped after that many requests.
+        intercept(method, path, response, {times} = {}) {
+            intercepts.push({method, path, response, times});
+            return api;
+        },
+
+        reset() {
+            db = fixtures();
+            sessions = new Map();
+            intercepts = [];
+            requests.length = 0;
+            return api;
+        },
+
+        // Resolves to the base URL, e.g. http://127.0.0.1:8055
+        listen(port = 0, host = '127.0.0.1') {
+            server = http.createServer((req, res) => {
+                handle(req, res).catch(error => {
+                    console.error('Mock Directus failed to answer:', error);
+                    send(res, 500, {errors: [{message: error.message, extensions: {code: 'INTERNAL_SERVER_ERROR'}}]});
+                });
+            });
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+            });
+        },
+
+        close() {
+            if (!server) return Promise.resolve();
+            const closed = new Promise(resolve => server.close(() => resolve()));
+            // The app's fetch keeps connections alive, which would hold close() open
+            server.closeAllConnections();
+            return closed;
+        }
+    };
+    return api;
+}
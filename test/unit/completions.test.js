@@ -0,0 +1,121 @@
+import {describe, expect, it, vi} from 'vitest';
+import {addLesson} from '@lib/completions';
+import {INSTRUCTOR, LEARNER, requestsTo, useMockDirectus} from './helpers.js';
+
+const directus = useMockDirectus();
+
+const completedLessonIds = enrollmentId => Object.values(directus.db.lms_enrollments_lms_lessons)
+    .filter(row => String(row.lms_enrollments_id) === String(enrollmentId))
+    .map(row => row.lms_lessons_id);
+
+describe('addLesson', () => {
+    it('records the completion and stores the new progress', async () => {
+        expect(await addLesson(1, 1)).toBe(201);
+
+        expect(completedLessonIds(1)).toEqual([1]);
+        expect(directus.db.lms_enrollments[1]).toMatchObject({percent_complete: 25, is_completed: false});
+    });
+
+    it('answers 200 without writing for a lesson that was already completed', async () => {
+        expect(await addLesson(2, 1)).toBe(200);
+
+        expect(requestsTo(directus, 'PATCH', '/items/lms_enrollments/2')).toHaveLength(0);
+        expect(completedLessonIds(2)).toEqual([1]);
+    });
+
+    it('marks the enrollment completed with its last lesson', async () => {
+        expect(await addLesson(3, 5)).toBe(201);
+
+        expect(directus.db.lms_enrollments[3]).toMatchObject({percent_complete: 100, is_completed: true});
+    });
+
+    it('answers 404 for an enrollment or lesson that does not exist', async () => {
+        expect(await addLesson(99, 1)).toBe(404);
+        expect(await addLesson(1, 99)).toBe(404);
+        expect(requestsTo(directus, 'PATCH', '/items/lms_enrollments/1')).toHaveLength(0);
+    });
+
+    it('answers 404 for a lesson of another course', async () => {
+        expect(await addLesson(1, 5)).toBe(404);
+        expect(completedLessonIds(1)).toEqual([]);
+    });
+
+    it('answers 403 for a lesson that has not been released yet', async () => {
+        expect(await addLesson(1, 3, LEARNER)).toBe(403);
+        expect(completedLessonIds(1)).toEqual([]);
+    });
+
+    it('lets staff complete a lesson the learner cannot open yet', async () => {
+        expect(await addLesson(1, 4, LEARNER)).toBe(403);
+        expect(await addLesson(1, 4, INSTRUCTOR)).toBe(201);
+        expect(completedLessonIds(1)).toEqual([4]);
+    });
+
+    it('answers 409 for a quiz lesson until the quiz is passed', async () => {
+        expect(await addLesson(1, 2)).toBe(409);
+
+        directus.db.lms_quiz_attempts[1] = {
+            id: 1, enrollment: 1, lesson: 2, passed: true, score: 100, submitted_at: new Date().toISOString()
+        };
+        expect(await addLesson(1, 2)).toBe(201);
+    });
+
+    it('answers 500 when Directus keeps failing, after retrying the read', async () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_enrollments/1', {status: 503, body: {errors: [{message: 'Service Unavailable'}]}});
+
+        expect(await addLesson(1, 1)).toBe(500);
+        expect(requestsTo(directus, 'GET', '/items/lms_enrollments/1')).toHaveLength(3);
+        expect(error).toHaveBeenCalled();
+    });
+
+    it('answers 500 without retrying when storing the completion fails', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('PATCH', '/items/lms_enrollments/1', {status: 500});
+
+        expect(await addLesson(1, 1)).toBe(500);
+        expect(requestsTo(directus, 'PATCH', '/items/lms_enrollments/1')).toHaveLength(1);
+    });
+
+    it('answers 200 when a concurrent request stored the completion first', async () => {
+        directus.intercept('PATCH', '/items/lms_enrollments/1', {
+            status: 400,
+            body: {errors: [{message: 'Value for field "lms_lessons_id" has to be unique.', extensions: {code: 'RECORD_NOT_UNIQUE'}}]}
+        }, {times: 1});
+
+        expect(await addLesson(1, 1)).toBe(200);
+        expect(requestsTo(directus, 'PATCH', '/items/lms_enrollments/1')).toHaveLength(1);
+    });
+
+    it('still answers 201 when only the progress update fails', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        // The completion goes through; the progress update after it does not
+        directus.intercept('PATCH', '/items/lms_enrollments/1',
+            request => request.body.lessons_completed ? undefined : {status: 500});
+
+        expect(await addLesson(1, 1)).toBe(201);
+        expect(completedLessonIds(1)).toEqual([1]);
+        expect(directus.db.lms_enrollments[1].percent_complete).toBe(0);
+    });
+
+    it('answers 500 when Directus answers with something other than JSON', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_enrollments/1', {status: 200, body: '<html>Bad Gateway</html>'});
+
+        expect(await addLesson(1, 1)).toBe(500);
+        expect(requestsTo(directus, 'PATCH', '/items/lms_enrollments/1')).toHaveLength(0);
+    });
+
+    it('answers 404 for an enrollment whose course was deleted', async () => {
+        directus.db.lms_enrollments[1].course = null;
+
+        expect(await addLesson(1, 1)).toBe(404);
+    });
+
+    it('ignores completions of deleted lessons', async () => {
+        directus.db.lms_enrollments_lms_lessons[2] = {id: 2, lms_enrollments_id: 1, lms_lessons_id: null};
+
+        expect(await addLesson(1, 1)).toBe(201);
+        expect(directus.db.lms_enrollments[1].percent_complete).toBe(25);
+    });
+});
@@ -0,0 +1,79 @@
+import {describe, expect, it} from 'vitest';
+import {sanitizeLessonHtml} from '@lib/content';
+
+const DIRECTUS_URL = 'https://cms.example.com';
+const sanitize = html => sanitizeLessonHtml(html, {directusUrl: DIRECTUS_URL});
+
+describe('sanitizeLessonHtml', () => {
+    it('keeps the formatting editors use', () => {
+        const html = '<h2>Title</h2><p><strong>Bold</strong> and <em>italic</em></p>'
+            + '<ul><li>One</li></ul><pre class="language-js"><code class="language-js">let a;</code></pre>'
+            + '<table><tr><td colspan="2">Cell</td></tr></table>';
+        expect(sanitize(html)).toBe(html);
+    });
+
+    it.each([
+        ['script tags', '<p>Hi</p><script>alert(1)</script>', '<p>Hi</p>'],
+        ['inline event handlers', '<img src="https://example.com/a.png" onerror="alert(1)">', null],
+        ['handlers on allowed tags', '<p onclick="alert(1)" onmouseover="alert(2)">Hi</p>', '<p>Hi</p>'],
+        ['javascript: links', '<a href="javascript:alert(1)">Click</a>', '<a>Click</a>'],
+        ['obfuscated javascript: links', '<a href="jav&#x09;ascript:alert(1)">Click</a>', '<a>Click</a>'],
+        ['upper-case javascript: links', '<a href="JaVaScRiPt:alert(1)">Click</a>', '<a>Click</a>'],
+        ['data: links', '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">Click</a>', '<a>Click</a>'],
+        ['vbscript: links', '<a href="vbscript:msgbox(1)">Click</a>', '<a>Click</a>'],
+        ['style attributes', '<p style="background:url(javascript:alert(1))">Hi</p>', '<p>Hi</p>'],
+        ['style tags', '<style>body{background:url(javascript:alert(1))}</style><p>Hi</p>', '<p>Hi</p>'],
+        ['svg payloads', '<svg onload="alert(1)"><script>alert(2)</script></svg><p>Hi</p>', '<p>Hi</p>'],
+        ['math payloads', '<math><mi xlink:href="javascript:alert(1)">x</mi></math>', 'x'],
+        ['forms', '<form action="https://evil.example"><input name="password"><button>Go</button></form>', 'Go'],
+        ['object and embed', '<object data="https://evil.example/x.swf"></object><embed src="https://evil.example/x.swf">', ''],
+        ['base tags', '<base href="https://evil.example/"><p>Hi</p>', '<p>Hi</p>'],
+        ['meta refresh', '<meta http-equiv="refresh" content="0;url=https://evil.example"><p>Hi</p>', '<p>Hi</p>'],
+        ['javascript: image sources', '<img src="javascript:alert(1)">', ''],
+        ['data: image sources', '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9ImFsZXJ0KDEpIj4=">', ''],
+        ['tags split by comments', '<scr<!-- -->ipt>alert(1)</script>', 'ipt&gt;alert(1)'],
+        ['unclosed attributes breaking out', '<p title="x"><img src=x onerror=alert(1)//">Hi</p>', null]
+    ])('removes %s', (description, html, expected) => {
+        const result = sanitize(html);
+        expect(result).not.toMatch(/<script|javascript:|vbscript:|data:|onerror=|onload=|onclick=|<style|<svg|<form|<object|<embed|<base|<meta/i);
+        if (expected !== null) expect(result).toBe(expected);
+    });
+
+    it('keeps the text of removed tags escaped', () => {
+        expect(sanitize('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>')).toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    });
+
+    it('forces links that open a new window to drop the opener', () => {
+        expect(sanitize('<a href="https://example.com" target="_self" rel="opener">Docs</a>'))
+            .toBe('<a href="https://example.com" target="_blank" rel="noopener noreferrer">Docs</a>');
+    });
+
+    it('only frames known players, sandboxed', () => {
+        expect(sanitize('<iframe src="https://evil.example/page"></iframe>')).toBe('');
+        expect(sanitize('<iframe src="javascript:alert(1)"></iframe>')).toBe('');
+        expect(sanitize('<iframe srcdoc="<script>alert(1)</script>"></iframe>')).toBe('');
+        expect(sanitize('<oembed url="https://evil.example/page"></oembed>')).toBe('');
+
+        const embed = sanitize('<iframe src="https://www.youtube.com/watch?v=dQw4w9WgXcQ" onload="alert(1)"></iframe>');
+        expect(embed).toMatch(/^<iframe src="https:\/\/www\.youtube-nocookie\.com\/embed\/dQw4w9WgXcQ"/);
+        expect(embed).toContain('sandbox="');
+        expect(embed).not.toContain('onload');
+    });
+
+    it('frames CodePen snippets that name their pen and drops the rest', () => {
+        const snippet = attributes => `<p class="codepen" ${attributes} data-height="300">`
+            + '<span>See the Pen <a href="https://codepen.io/chriscoyier/pen/gfdDu">Pen</a></span></p><p>After</p>';
+
+        expect(sanitize(snippet('data-user="chriscoyier" data-slug-hash="gfdDu"')))
+            .toMatch(/^<iframe src="https:\/\/codepen\.io\/chriscoyier\/embed\/gfdDu\?default-tab=result"/);
+        expect(sanitize(snippet('data-user="chriscoyier"'))).toBe('<p>After</p>');
+        expect(sanitize(snippet('data-slug-hash="gfdDu"'))).toBe('<p>After</p>');
+        expect(sanitize(snippet('data-user="../evil" data-slug-hash="gfdDu"'))).toBe('<p>After</p>');
+        expect(sanitize(snippet('data-user="" data-slug-hash="gfdDu"'))).toBe('<p>After</p>');
+    });
+
+    it('does not let a player link smuggle in another host', () => {
+        expect(sanitize('<iframe src="https://www.youtube.com.evil.example/embed/dQw4w9WgXcQ"></iframe>')).toBe('');
+        expect(sanitize('<iframe src="https://evil.example/?https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>')).toBe('');
+    });
+});
@@ -0,0 +1,86 @@
+import {describe, expect, it} from 'vitest';
+import {describeLock, getLessonLocks} from '@lib/courses';
+
+const prerequisites = (...ids) => ids.map(id => ({related_lms_lessons_id: {id}}));
+
+// Two modules of two lessons each, listed out of sort order as Directus may
+// return them
+function course({unlockMode = 'open', moduleModes = [], lessonPrerequisites = {}} = {}) {
+    const lesson = (id, sort) => ({id, title: `Lesson ${id}`, sort, prerequisites: lessonPrerequisites[id] || []});
+    return {
+        id: 1,
+        unlock_mode: unlockMode,
+        modules: [
+            {id: 2, sort: 2, unlock_mode: moduleModes[1] ?? null, lessons: [lesson(4, 2), lesson(3, 1)]},
+            {id: 1, sort: 1, unlock_mode: moduleModes[0] ?? null, lessons: [lesson(2, 2), lesson(1, 1)]}
+        ]
+    };
+}
+
+// {lessonId: [required lesson ids]}
+const lockedIds = locks => Object.fromEntries([...locks].map(([id, requires]) => [id, requires.map(lesson => lesson.id)]));
+
+describe('getLessonLocks', () => {
+    it('locks nothing in an open course', () => {
+        expect(getLessonLocks(course(), []).size).toBe(0);
+        expect(getLessonLocks({id: 1, modules: []}, []).size).toBe(0);
+    });
+
+    it('opens a module once every lesson of the modules before it is completed', () => {
+        const modular = course({unlockMode: 'module'});
+
+        expect(lockedIds(getLessonLocks(modular, []))).toEqual({3: [1, 2], 4: [1, 2]});
+        expect(lockedIds(getLessonLocks(modular, [1]))).toEqual({3: [2], 4: [2]});
+        expect(getLessonLocks(modular, [1, 2]).size).toBe(0);
+    });
+
+    it('opens each lesson after the one before it in sequential mode', () => {
+        const sequential = course({unlockMode: 'sequential'});
+
+        expect(lockedIds(getLessonLocks(sequential, []))).toEqual({2: [1], 3: [1, 2], 4: [1, 2, 3]});
+        expect(lockedIds(getLessonLocks(sequential, [1, 2]))).toEqual({4: [3]});
+        expect(getLessonLocks(sequential, ['1', '2', '3']).size).toBe(0);
+    });
+
+    it('lets a module override the course mode', () => {
+        const mixed = course({unlockMode: 'sequential', moduleModes: ['open']});
+
+        expect(lockedIds(getLessonLocks(mixed, []))).toEqual({3: [1, 2], 4: [1, 2, 3]});
+    });
+
+    it('treats an unknown mode as open', () => {
+        expect(getLessonLocks(course({unlockMode: 'linear'}), []).size).toBe(0);
+    });
+
+    it('locks a lesson behind a prerequisite in another module', () => {
+        const locks = getLessonLocks(course({lessonPrerequisites: {1: prerequisites(4)}}), []);
+
+        expect(lockedIds(locks)).toEqual({1: [4]});
+        expect(locks.get('1')).toEqual([{id: 4, title: 'Lesson 4'}]);
+        expect(getLessonLocks(course({lessonPrerequisites: {1: prerequisites(4)}}), [4]).size).toBe(0);
+    });
+
+    it('lists a prerequisite the mode already requires only once', () => {
+        const locks = getLessonLocks(course({unlockMode: 'module', lessonPrerequisites: {3: prerequisites(2, 4)}}), []);
+
+        expect(lockedIds(locks)).toEqual({3: [1, 2, 4], 4: [1, 2]});
+    });
+
+    it('ignores a prerequisite that is no longer in the course', () => {
+        const locks = getLessonLocks(course({lessonPrerequisites: {2: [{related_lms_lessons_id: {id: 99}}, {related_lms_lessons_id: null}]}}), []);
+
+        expect(locks.size).toBe(0);
+    });
+
+    it('keeps a completed lesson open when a prerequisite is added later', () => {
+        expect(getLessonLocks(course({unlockMode: 'sequential', lessonPrerequisites: {2: prerequisites(4)}}), [1, 2]).has('2')).toBe(false);
+    });
+});
+
+describe('describeLock', () => {
+    it('names the first lesson to complete and counts the rest', () => {
+        expect(describeLock([{id: 1, title: 'Intro'}])).toBe('Complete "Intro" first');
+        expect(describeLock([{id: 1, title: 'Intro'}, {id: 2, title: 'Setup'}])).toBe('Complete "Intro" and 1 other lesson first');
+        expect(describeLock([{id: 1, title: 'Intro'}, {id: 2}, {id: 3}])).toBe('Complete "Intro" and 2 other lessons first');
+    });
+});
@@ -0,0 +1,63 @@
+import {describe, expect, it} from 'vitest';
+import {parseTimestamp, toEmbed} from '@lib/embeds';
+
+describe('toEmbed', () => {
+    it.each([
+        ['a YouTube watch link', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ'],
+        ['a youtu.be link with a start time', 'https://youtu.be/dQw4w9WgXcQ?t=1m30s',
+            'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?start=90'],
+        ['a YouTube video in a playlist', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG',
+            'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?list=PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG'],
+        ['a YouTube playlist', 'https://www.youtube.com/playlist?list=PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG',
+            'https://www.youtube-nocookie.com/embed/videoseries?list=PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG'],
+        ['a YouTube short', 'https://youtube.com/shorts/dQw4w9WgXcQ',
+            'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ'],
+        ['a Vimeo link', 'https://vimeo.com/123456789',
+            'https://player.vimeo.com/video/123456789'],
+        ['an unlisted Vimeo link with its hash and a start time', 'https://vimeo.com/123456789/abc123def4#t=2m',
+            'https://player.vimeo.com/video/123456789?h=abc123def4#t=120s'],
+        ['a Vimeo player link', 'https://player.vimeo.com/video/123456789?h=abc123def4',
+            'https://player.vimeo.com/video/123456789?h=abc123def4'],
+        ['a Vimeo showcase video', 'https://vimeo.com/showcase/1234567/video/123456789',
+            'https://player.vimeo.com/video/123456789'],
+        ['a Vimeo channel video', 'https://vimeo.com/channels/staffpicks/123456789',
+            'https://player.vimeo.com/video/123456789'],
+        ['a Loom share link', 'https://www.loom.com/share/0123456789abcdef0123456789abcdef?t=45',
+            'https://www.loom.com/embed/0123456789abcdef0123456789abcdef?t=45'],
+        ['a CodePen pen', 'https://codepen.io/ada/pen/abcXYZ',
+            'https://codepen.io/ada/embed/abcXYZ?default-tab=result']
+    ])('embeds %s', (description, link, src) => {
+        expect(toEmbed(link)?.src).toBe(src);
+    });
+
+    it.each([
+        ['a YouTube link with a malformed id', 'https://www.youtube.com/watch?v=short'],
+        ['a Vimeo page without a video id', 'https://vimeo.com/channels/staffpicks'],
+        ['a Loom link that is not a video', 'https://www.loom.com/looms/videos'],
+        ['an unknown host', 'https://videos.example.org/watch?v=dQw4w9WgXcQ'],
+        ['a javascript: URL', 'javascript:alert(1)'],
+        ['something that is not a URL', 'not a link']
+    ])('does not embed %s', (description, link) => {
+        expect(toEmbed(link)).toBeNull();
+    });
+
+    it('marks playlists, which have no single position to follow', () => {
+        expect(toEmbed('https://www.youtube.com/playlist?list=PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG').playlist).toBe(true);
+        expect(toEmbed('https://youtu.be/dQw4w9WgXcQ').playlist).toBe(false);
+    });
+});
+
+describe('parseTimestamp', () => {
+    it.each([
+        ['90', 90],
+        ['90s', 90],
+        ['1m30s', 90],
+        ['1h2m3s', 3723],
+        ['0', null],
+        ['soon', null],
+        [null, null]
+    ])('reads %s as %s', (value, seconds) => {
+        expect(parseTimestamp(value)).toBe(seconds);
+    });
+});
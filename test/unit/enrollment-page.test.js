@@ -0,0 +1,157 @@
+import {describe, expect, it, vi} from 'vitest';
+import {getServerSideProps} from '../../pages/enrollments/[id].js';
+import {createContext, INSTRUCTOR, LEARNER, OTHER_LEARNER, requestsTo, useMockDirectus} from './helpers.js';
+
+const directus = useMockDirectus();
+
+const lessonsById = props => Object.fromEntries(props.lessonsToComplete.modules
+    .flatMap(module => module.lessons)
+    .map(lesson => [lesson.id, lesson]));
+
+describe('enrollment page getServerSideProps', () => {
+    it('lists the course with progress and where to continue', async () => {
+        const context = createContext({params: {id: '1'}, user: LEARNER});
+        const {props} = await getServerSideProps(context);
+
+        expect(props.error).toBeNull();
+        expect(props.enrollment).toMatchObject({id: 1, course: {id: 1, title: 'Web Foundations'}});
+        expect(props.progressStats).toEqual({totalLessons: 4, completedCount: 0, remainingCount: 4, percentComplete: 0, isCompleted: false});
+        expect(props.moduleProgress.map(module => module.status)).toEqual(['not_started', 'not_started']);
+        expect(props.nextLesson).toMatchObject({id: 1, title: 'How the Web Works', url: '/lessons/1?callback=%2Fenrollments%2F1'});
+        expect(context.res.statusCode).toBe(200);
+        expect(context.res.getHeader('Server-Timing')).toMatch(/directus-enrollment;dur=/);
+    });
+
+    it('shows lessons that have not been released with their opening date and no link', async () => {
+        const {props} = await getServerSideProps(createContext({params: {id: '1'}, user: LEARNER}));
+        const lessons = lessonsById(props);
+
+        expect(lessons[2]).toMatchObject({locked: false, opensAt: null});
+        expect(lessons[3]).toMatchObject({url: null, locked: true});
+        expect(Date.parse(lessons[3].opensAt)).toBeGreaterThan(Date.now());
+        expect(lessons[4]).toMatchObject({url: null, locked: true, lockReason: 'Complete "How the Web Works" and 2 other lessons first'});
+    });
+
+    it('lists completed lessons once and continues after them', async () => {
+        directus.db.lms_enrollments_lms_lessons[2] = {id: 2, lms_enrollments_id: 2, lms_lessons_id: 1};
+        const {props} = await getServerSideProps(createContext({params: {id: '2'}, user: OTHER_LEARNER}));
+
+        expect(props.completedLessons.map(lesson => lesson.id)).toEqual([1]);
+        expect(props.progressStats).toEqual({totalLessons: 4, completedCount: 1, remainingCount: 3, percentComplete: 25, isCompleted: false});
+        expect(requestsTo(directus, 'PATCH', '/items/lms_enrollments/2')).toHaveLength(0);
+        expect(props.moduleProgress[0]).toMatchObject({status: 'in_progress', completedCount: 1, totalLessons: 2});
+        expect(props.nextLesson).toMatchObject({id: 2});
+    });
+
+    it('leaves out completed lessons that were taken out of their module', async () => {
+        directus.db.lms_lessons[1].module = null;
+        const context = createContext({params: {id: '2'}, user: OTHER_LEARNER});
+        const {props} = await getServerSideProps(context);
+
+        expect(props.error).toBeNull();
+        expect(context.res.statusCode).toBe(200);
+        expect(props.completedLessons).toEqual([]);
+        expect(props.progressStats).toEqual({totalLessons: 3, completedCount: 0, remainingCount: 3, percentComplete: 0, isCompleted: false});
+        expect(props.nextLesson).toMatchObject({id: 2});
+    });
+
+    it('repairs a stored percent_complete that no longer matches the course', async () => {
+        directus.db.lms_lessons[1].module = null;
+        await getServerSideProps(createContext({params: {id: '2'}, user: OTHER_LEARNER}));
+
+        expect(directus.db.lms_enrollments[2]).toMatchObject({percent_complete: 0, is_completed: false});
+    });
+
+    it('still shows the computed progress when the repair cannot be saved', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.db.lms_enrollments[1].percent_complete = 50;
+        directus.intercept('PATCH', '/items/lms_enrollments/1', {status: 503});
+        const context = createContext({params: {id: '1'}, user: LEARNER});
+        const {props} = await getServerSideProps(context);
+
+        expect(props.error).toBeNull();
+        expect(context.res.statusCode).toBe(200);
+        expect(props.progressStats).toMatchObject({percentComplete: 0, isCompleted: false});
+    });
+
+    it('lets staff view any enrollment', async () => {
+        const {props} = await getServerSideProps(createContext({params: {id: '2'}, user: INSTRUCTOR}));
+
+        expect(props.error).toBeNull();
+        expect(props.enrollment.user_enrolled).toMatchObject({first_name: 'Grace'});
+    });
+
+    it('answers 401 without a session, before asking Directus', async () => {
+        const context = createContext({params: {id: '1'}});
+        const {props} = await getServerSideProps(context);
+
+        expect(props).toMatchObject({enrollment: null, errorStatus: 401, error: 'Please sign in to view this enrollment'});
+        expect(context.res.statusCode).toBe(401);
+        expect(directus.requests).toHaveLength(0);
+    });
+
+    it('answers 403 for another learner\'s enrollment', async () => {
+        const context = createContext({params: {id: '2'}, user: LEARNER});
+        const {props} = await getServerSideProps(context);
+
+        expect(props).toMatchObject({enrollment: null, errorStatus: 403});
+        expect(context.res.statusCode).toBe(403);
+    });
+
+    it('answers 404 for an enrollment that does not exist', async () => {
+        const context = createContext({params: {id: '99'}, user: LEARNER});
+
+        expect(await getServerSideProps(context)).toEqual({notFound: true});
+        expect(context.res.getHeader('Server-Timing')).toMatch(/directus-enrollment/);
+    });
+
+    it('passes a Directus 5xx on to the browser after retrying', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_enrollments/1', {status: 502});
+        const context = createContext({params: {id: '1'}, user: LEARNER});
+        const {props} = await getServerSideProps(context);
+
+        expect(props).toMatchObject({enrollment: null, errorStatus: 502, stack: null});
+        expect(props.error).toMatch(/Directus GET \/items\/lms_enrollments\/1 failed: 502/);
+        expect(context.res.statusCode).toBe(502);
+        expect(requestsTo(directus, 'GET', '/items/lms_enrollments/1')).toHaveLength(3);
+    });
+
+    it('answers 500 when the course cannot be loaded', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_courses/1', {status: 500});
+        const context = createContext({params: {id: '1'}, user: LEARNER});
+        const {props} = await getServerSideProps(context);
+
+        expect(props).toMatchObject({enrollment: null, errorStatus: 500});
+        expect(context.res.statusCode).toBe(500);
+    });
+
+    it('answers 502 when Directus answers with something other than JSON', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_enrollments/1', {status: 200, body: 'upstream connect error'});
+        const context = createContext({params: {id: '1'}, user: LEARNER});
+        const {props} = await getServerSideProps(context);
+
+        expect(props).toMatchObject({enrollment: null, errorStatus: 502});
+        expect(props.error).toMatch(/not JSON/);
+        expect(context.res.statusCode).toBe(502);
+    });
+
+    it('answers 500 for an enrollment without a course', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.db.lms_enrollments[1].course = null;
+        const {props} = await getServerSideProps(createContext({params: {id: '1'}, user: LEARNER}));
+
+        expect(props).toMatchObject({enrollment: null, errorStatus: 500});
+    });
+
+    it('leaves out completions of deleted lessons', async () => {
+        directus.db.lms_enrollments_lms_lessons[2] = {id: 2, lms_enrollments_id: 1, lms_lessons_id: null};
+        directus.db.lms_enrollments_lms_lessons[3] = {id: 3, lms_enrollments_id: 1, lms_lessons_id: 1};
+        const {props} = await getServerSideProps(createContext({params: {id: '1'}, user: LEARNER}));
+
+        expect(props.error).toBeNull();
+        expect(props.completedLessons.map(lesson => lesson.id)).toEqual([1]);
+    });
+});
@@ -0,0 +1,82 @@
+// Shared setup for the unit tests: a mock Directus per test file, signed-in
+// sessions and the request context Next.js hands to data functions.
+
+import {afterAll, beforeAll, beforeEach} from 'vitest';
+import {USERS} from '../mock-directus/fixtures.mjs';
+import {createMockDirectus} from '../mock-directus/server.mjs';
+import {SESSION_COOKIE, seal} from '@lib/session';
+
+export const LEARNER = {...USERS.ada, first_name: 'Ada', last_name: 'Lovelace', role: 'Learner'};
+export const OTHER_LEARNER = {...USERS.grace, first_name: 'Grace', last_name: 'Hopper', role: 'Learner'};
+export const INSTRUCTOR = {...USERS.alan, first_name: 'Alan', last_name: 'Turing', role: 'Instructor'};
+
+// Starts the mock Directus for the calling test file and restores its
+// fixtures before every test. The app reads OPTICAL_API_ENDPOINT on first
+// use, which is after this has set it.
+export function useMockDirectus() {
+    const directus = createMockDirectus();
+    beforeAll(async () => {
+        process.env.OPTICAL_API_ENDPOINT = await directus.listen();
+    });
+    beforeEach(() => {
+        directus.reset();
+    });
+    afterAll(() => directus.close());
+    return directus;
+}
+
+// A session cookie as lib/session.js writes it, with an access token that is
+// not about to expire so no refresh is attempted
+export function sessionCookie(user) {
+    return seal({
+        accessToken: 'unit-test-access-token',
+        refreshToken: 'unit-test-refresh-token',
+        expiresAt: Date.now() + 60 * 60 * 1000,
+        user
+    });
+}
+
+// The context getServerSideProps receives; res records the status and headers
+export function createContext({params, user} = {}) {
+    const headers = {};
+    return {
+        params,
+        query: {...params},
+        req: {headers: {}, cookies: user ? {[SESSION_COOKIE]: sessionCookie(user)} : {}},
+        res: {
+            statusCode: 200,
+            headersSent: false,
+            headers,
+            setHeader(name, value) {
+                headers[name.toLowerCase()] = value;
+            },
+            getHeader(name) {
+                return headers[name.toLowerCase()];
+            }
+        }
+    };
+}
+
+// Directus requests made to the given path
+export const requestsTo = (directus, method, path) =>
+    directus.requests.filter(request => request.method === method && request.path === path);
+
+// Calls an API route the way Next.js does; the returned res records the
+// status, headers and JSON body
+export async function callApi(handler, {method = 'GET', query = {}, body, user} = {}) {
+    const {req, res} = createContext({params: query, user});
+    Object.assign(req, {method, url: '/api', query, body});
+    Object.assign(res, {
+        body: null,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(value) {
+            res.body = value;
+            return res;
+        }
+    });
+    await handler(req, res);
+    return res;
+}
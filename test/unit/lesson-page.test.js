@@ -0,0 +1,76 @@
+import {describe, expect, it, vi} from 'vitest';
+import {getStaticProps} from '../../pages/lessons/[id].js';
+import {requestsTo, useMockDirectus} from './helpers.js';
+
+const directus = useMockDirectus();
+
+describe('lesson page getStaticProps', () => {
+    it('renders a lesson every learner may open in full, with its content sanitized', async () => {
+        const {props, revalidate} = await getStaticProps({params: {id: '1'}});
+
+        expect(revalidate).toBe(300);
+        expect(props.lesson).toEqual({id: 1, title: 'How the Web Works'});
+        expect(props.body.content).toContain('Browsers ask servers for');
+        expect(props.body.content).not.toContain('<script');
+        expect(props.body.resources.map(resource => resource.title)).toEqual(['HTML cheat sheet', 'MDN: How the web works']);
+        expect(props.body.navigation).toMatchObject({course: {id: 1}, previous: null, next: {id: 2}});
+    });
+
+    it('leaves the content of an unreleased lesson out of the static page', async () => {
+        const {props} = await getStaticProps({params: {id: '3'}});
+
+        expect(props).toMatchObject({lesson: {id: 3, title: 'Selectors'}, body: null});
+        expect(JSON.stringify(props)).not.toContain('Selectors pick the elements');
+    });
+
+    it('leaves the content of a lesson behind a prerequisite out of the static page', async () => {
+        directus.db.lms_modules[2].release_after_days = null;
+        directus.db.lms_modules[2].unlock_mode = null;
+        const [withPrerequisite, open] = await Promise.all([getStaticProps({params: {id: '4'}}), getStaticProps({params: {id: '3'}})]);
+
+        expect(withPrerequisite.props.body).toBeNull();
+        expect(open.props.body.content).toContain('Selectors pick the elements');
+    });
+
+    it('leaves the content of a lesson in an unpublished course out of the static page', async () => {
+        directus.db.lms_lessons[6].content = '<p>Not announced yet.</p>';
+        const {props} = await getStaticProps({params: {id: '6'}});
+
+        expect(props).toMatchObject({lesson: {id: 6, title: 'Draft Lesson'}, body: null});
+        expect(JSON.stringify(props)).not.toContain('Not announced yet');
+    });
+
+    it('ships a quiz summary but never the questions or answers', async () => {
+        const {props} = await getStaticProps({params: {id: '2'}});
+
+        expect(props.quizSummary).toEqual({questionCount: 3, timeLimitSeconds: null, passThreshold: 70});
+        expect(props.lesson).not.toHaveProperty('quiz');
+        expect(JSON.stringify(props)).not.toContain('void-elements');
+    });
+
+    it('answers notFound for a lesson that does not exist', async () => {
+        expect(await getStaticProps({params: {id: '99'}})).toEqual({notFound: true, revalidate: 300});
+    });
+
+    it('throws on a Directus 5xx so the last good page keeps being served', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_lessons/1', {status: 503});
+
+        await expect(getStaticProps({params: {id: '1'}})).rejects.toMatchObject({name: 'DirectusError', status: 503});
+        expect(requestsTo(directus, 'GET', '/items/lms_lessons/1')).toHaveLength(3);
+    });
+
+    it('throws when Directus answers with something other than JSON', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_lessons/1', {status: 200, body: '<html>Maintenance</html>'});
+
+        await expect(getStaticProps({params: {id: '1'}})).rejects.toMatchObject({name: 'DirectusError', status: 502});
+    });
+
+    it('ignores a quiz that is not a list of questions', async () => {
+        directus.db.lms_lessons[2].quiz = {question: 'Not a list'};
+        const {props} = await getStaticProps({params: {id: '2'}});
+
+        expect(props.quizSummary).toBeNull();
+    });
+});
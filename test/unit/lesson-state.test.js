@@ -0,0 +1,89 @@
+import {describe, expect, it, vi} from 'vitest';
+import {loadLessonState} from '@lib/lesson-state';
+import {IMAGE_FILE_ID} from '../mock-directus/fixtures.mjs';
+import {INSTRUCTOR, LEARNER, OTHER_LEARNER, useMockDirectus} from './helpers.js';
+
+const directus = useMockDirectus();
+
+describe('loadLessonState', () => {
+    it('hands an enrolled learner the lesson with sanitized content, resources and navigation', async () => {
+        const {status, state} = await loadLessonState(LEARNER, '1', '1');
+
+        expect(status).toBe(200);
+        expect(state.lesson.content).not.toContain('<script');
+        expect(state.lesson.content).toContain(
+            `<img src="${process.env.OPTICAL_API_ENDPOINT}/assets/${IMAGE_FILE_ID}" alt="Page anatomy" width="1200" height="800" loading="lazy" />`);
+        expect(state.lesson.resources.map(resource => [resource.title, resource.href])).toEqual([
+            ['HTML cheat sheet', '/api/lessons/1/resources/1'],
+            ['MDN: How the web works', 'https://developer.mozilla.org/en-US/docs/Learn']
+        ]);
+        expect(state.lesson.navigation).toMatchObject({
+            course: {id: 1, title: 'Web Foundations'},
+            module: {id: 1, title: 'Getting Started'},
+            previous: null,
+            next: {id: 2, title: 'HTML Elements'}
+        });
+        expect(state.lesson).toMatchObject({video: null, minWatchPercent: 0});
+        expect(state).toMatchObject({isCompleted: false, quizAttempts: [], watchProgress: null});
+    });
+
+    it('leaves the lesson out for a page that already has it', async () => {
+        directus.db.lms_enrollments_lms_lessons[2] = {id: 2, lms_enrollments_id: 1, lms_lessons_id: 1};
+        const {status, state} = await loadLessonState(LEARNER, '1', '1', {includeLesson: false});
+
+        expect(status).toBe(200);
+        expect(state).toMatchObject({lesson: null, isCompleted: true, restrictedLessonIds: ['3', '4']});
+    });
+
+    it('keeps the content of a lesson that has not been released', async () => {
+        const result = await loadLessonState(LEARNER, '3', '1');
+
+        expect(result).toEqual({status: 403, error: expect.stringMatching(/^This lesson opens on/)});
+        expect(JSON.stringify(result)).not.toContain('Selectors pick the elements');
+    });
+
+    it('keeps the content from signed-out visitors and other learners', async () => {
+        expect(await loadLessonState(null, '1', '1')).toEqual({status: 401, error: 'Please sign in to view this lesson'});
+        expect(await loadLessonState(OTHER_LEARNER, '1', '1')).toMatchObject({status: 403});
+        expect(await loadLessonState(LEARNER, '1', null)).toMatchObject({status: 403});
+    });
+
+    it('lets staff preview a lesson without an enrollment', async () => {
+        const {status, state} = await loadLessonState(INSTRUCTOR, '3', null);
+
+        expect(status).toBe(200);
+        expect(state.lesson.content).toBe('<p>Selectors pick the elements a rule applies to.</p>');
+        expect(state.lesson.navigation).toMatchObject({module: {id: 2}, previous: {id: 2}});
+    });
+
+    it('shows a lesson outside any module without navigation', async () => {
+        directus.db.lms_lessons[1].module = null;
+        const {status, state} = await loadLessonState(INSTRUCTOR, '1', null);
+
+        expect(status).toBe(200);
+        expect(state.lesson.navigation).toBeNull();
+    });
+
+    it('shows a lesson without content', async () => {
+        directus.db.lms_lessons[1].content = null;
+        const {state} = await loadLessonState(LEARNER, '1', '1');
+
+        expect(state.lesson.content).toBeNull();
+    });
+
+    it('keeps images without their size when the file lookup fails', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/files', {status: 500});
+        const {state} = await loadLessonState(LEARNER, '1', '1');
+
+        expect(state.lesson.content).toContain(
+            `<img src="${process.env.OPTICAL_API_ENDPOINT}/assets/${IMAGE_FILE_ID}" alt="Page anatomy" loading="lazy" />`);
+    });
+
+    it('answers 500 when the course outline cannot be loaded', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_courses/1', {status: 500});
+
+        expect(await loadLessonState(LEARNER, '1', '1')).toEqual({status: 500, error: 'Failed to load your progress for this lesson'});
+    });
+});
@@ -0,0 +1,138 @@
+import {describe, expect, it, vi} from 'vitest';
+import completionsHandler from '../../pages/api/enrollments/[id]/completions.js';
+import {getEnrollment} from '@lib/directus';
+import {getRequestId, logger, redact, runWithRequestId} from '@lib/logger';
+import {createContext, LEARNER, requestsTo, useMockDirectus} from './helpers.js';
+
+const directus = useMockDirectus();
+
+const entries = spy => spy.mock.calls.map(([line]) => JSON.parse(line));
+
+// An API request for the completions route; res records what was answered
+function callCompletions({headers = {}, lessonId = 1} = {}) {
+    const {req, res} = createContext({user: LEARNER});
+    Object.assign(req, {method: 'POST', url: '/api/enrollments/1/completions', query: {id: '1'}, body: {lessonId}});
+    Object.assign(req.headers, headers);
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = body => {
+        res.body = body;
+        return res;
+    };
+    return completionsHandler(req, res).then(() => res);
+}
+
+describe('logger', () => {
+    it('writes one JSON line per entry with the current request ID', () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        runWithRequestId('req-123', () => logger.warn('Something odd', {lessonId: 4}));
+
+        expect(entries(error)).toEqual([
+            expect.objectContaining({level: 'warn', msg: 'Something odd', requestId: 'req-123', lessonId: 4})
+        ]);
+        expect(getRequestId()).toBeNull();
+    });
+
+    it('skips entries below LOG_LEVEL', () => {
+        const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        logger.info('Not written');
+        logger.debug('Not written either');
+
+        expect(log).not.toHaveBeenCalled();
+    });
+
+    it('serializes errors with their status and stack', () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        logger.error('Failed', {error: Object.assign(new Error('Directus is down'), {status: 503})});
+
+        expect(entries(error)[0].error).toMatchObject({
+            name: 'Error',
+            message: 'Directus is down',
+            status: 503,
+            stack: expect.stringContaining('Directus is down')
+        });
+    });
+});
+
+describe('redact', () => {
+    it('hides credentials and personal details wherever they are', () => {
+        expect(redact({
+            user: {id: 'user-ada', email: 'ada@example.com', first_name: 'Ada', last_name: 'Lovelace'},
+            accessToken: 'abc',
+            refresh_token: 'def',
+            password: 'hunter2',
+            headers: {Authorization: 'Bearer abc', Cookie: 'lms_session=xyz', 'x-request-id': 'req-1'},
+            answers: {q1: 'b'},
+            lessonId: 2
+        })).toEqual({
+            user: {id: 'user-ada', email: '[REDACTED]', first_name: '[REDACTED]', last_name: '[REDACTED]'},
+            accessToken: '[REDACTED]',
+            refresh_token: '[REDACTED]',
+            password: '[REDACTED]',
+            headers: {Authorization: '[REDACTED]', Cookie: '[REDACTED]', 'x-request-id': 'req-1'},
+            answers: '[REDACTED]',
+            lessonId: 2
+        });
+    });
+
+    it('hides emails and tokens inside messages and URLs', () => {
+        expect(redact('Login for ada@example.com failed with Bearer abc.def'))
+            .toBe('Login for [REDACTED] failed with Bearer [REDACTED]');
+        expect(redact('https://cms.example.com/assets/1?access_token=abc&download'))
+            .toBe('https://cms.example.com/assets/1?access_token=[REDACTED]&download');
+    });
+
+    it('redacts inside errors and survives cycles', () => {
+        const error = new Error('No user ada@example.com');
+        const value = {error};
+        value.self = value;
+
+        const result = redact(value);
+        expect(result.error.message).toBe('No user [REDACTED]');
+        expect(result.self).toBe('[Circular]');
+    });
+});
+
+describe('request IDs', () => {
+    it('are sent on to Directus and echoed on the response', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const res = await callCompletions();
+
+        expect(res.statusCode).toBe(201);
+        const requestId = res.getHeader('X-Request-Id');
+        expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+        const writes = requestsTo(directus, 'PATCH', '/items/lms_enrollments/1');
+        expect(writes.length).toBeGreaterThan(0);
+        expect(writes.every(request => request.requestId === requestId)).toBe(true);
+    });
+
+    it('reuse the caller\'s ID, but only a plain one', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        expect((await callCompletions({headers: {'x-request-id': 'edge-42'}})).getHeader('X-Request-Id')).toBe('edge-42');
+        const forged = await callCompletions({headers: {'x-request-id': 'a"\nb'}});
+        expect(forged.getHeader('X-Request-Id')).not.toBe('a"\nb');
+    });
+
+    it('tie upstream failures to the request that hit them', async () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_enrollments/1', {status: 503}, {times: 1});
+
+        await runWithRequestId('req-retry', () => getEnrollment(1, {fields: ['id']}));
+
+        expect(entries(error)).toEqual([expect.objectContaining({
+            level: 'warn',
+            msg: 'Directus request failed',
+            requestId: 'req-retry',
+            path: '/items/lms_enrollments/1',
+            status: 503,
+            retrying: true,
+            durationMs: expect.any(Number)
+        })]);
+    });
+});
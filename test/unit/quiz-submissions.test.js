@@ -0,0 +1,112 @@
+import {describe, expect, it} from 'vitest';
+import startHandler from '../../pages/api/lessons/[id]/quiz-attempts.js';
+import submitHandler from '../../pages/api/lessons/[id]/quiz-submissions.js';
+import {SUBMIT_GRACE_SECONDS} from '@lib/attempts';
+import {buildAttemptQuiz} from '@lib/quiz';
+import {callApi, INSTRUCTOR, LEARNER, useMockDirectus} from './helpers.js';
+
+const directus = useMockDirectus();
+
+const CORRECT = {'html-tag': 'b', 'void-elements': ['a', 'c'], semantic: true};
+const WRONG = {'html-tag': 'a', 'void-elements': ['b'], semantic: false};
+
+const startQuiz = (enrollmentId = 1) =>
+    callApi(startHandler, {method: 'POST', query: {id: '2'}, body: {enrollmentId}, user: LEARNER});
+
+const submit = body =>
+    callApi(submitHandler, {method: 'POST', query: {id: '2'}, body: {enrollmentId: 1, ...body}, user: LEARNER});
+
+async function takeQuiz(selectedAnswers, {user = LEARNER, enrollmentId = 1} = {}) {
+    const started = await callApi(startHandler, {method: 'POST', query: {id: '2'}, body: {enrollmentId}, user});
+    const {attemptId, seed} = started.body;
+    return callApi(submitHandler, {
+        method: 'POST',
+        query: {id: '2'},
+        body: {enrollmentId, attemptId, seed, selectedAnswers},
+        user
+    });
+}
+
+describe('POST /api/lessons/[id]/quiz-submissions', () => {
+    it('gives a failed attempt its score but not the answers', async () => {
+        const res = await takeQuiz(WRONG);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({score: 0, passed: false, results: null});
+        expect(JSON.stringify(res.body)).not.toContain('correctAnswer');
+    });
+
+    it('shows the answers once an attempt passes', async () => {
+        const res = await takeQuiz(CORRECT);
+
+        expect(res.body).toMatchObject({score: 100, passed: true});
+        expect(res.body.results['void-elements']).toEqual({selected: ['a', 'c'], correct: true, correctAnswer: ['a', 'c']});
+    });
+
+    it('shows the answers to staff previewing the quiz', async () => {
+        const res = await takeQuiz(WRONG, {user: INSTRUCTOR, enrollmentId: null});
+
+        expect(res.body.passed).toBe(false);
+        expect(res.body.results['html-tag']).toMatchObject({correct: false, correctAnswer: 'b'});
+    });
+});
+
+describe('quiz attempts', () => {
+    it('grades the questions drawn for the attempt, not for a seed the learner sends', async () => {
+        directus.db.lms_lessons[2].quiz_question_count = 1;
+        const started = await startQuiz();
+        const [question] = started.body.questions;
+        const {seed} = directus.db.lms_quiz_attempts[started.body.attemptId];
+        // A seed that would draw a different question
+        const otherSeed = ['x1', 'x2', 'x3', 'x4', 'x5', 'x6']
+            .find(candidate => buildAttemptQuiz(directus.db.lms_lessons[2], candidate)[0].question_key !== question.question_key);
+
+        expect(buildAttemptQuiz(directus.db.lms_lessons[2], seed)[0].question_key).toBe(question.question_key);
+
+        const res = await submit({
+            attemptId: started.body.attemptId,
+            seed: otherSeed,
+            selectedAnswers: {[question.question_key]: CORRECT[question.question_key]}
+        });
+
+        expect(res.body).toMatchObject({totalQuestions: 1, correctCount: 1, passed: true});
+        expect(Object.keys(res.body.results)).toEqual([question.question_key]);
+    });
+
+    it('sets expires_at from the time limit', async () => {
+        directus.db.lms_lessons[2].quiz_time_limit = 5;
+        const before = Date.now();
+        const started = await startQuiz();
+        const {started_at, expires_at} = directus.db.lms_quiz_attempts[started.body.attemptId];
+
+        expect(started.body.timeLimitSeconds).toBe(300);
+        expect(new Date(expires_at) - new Date(started_at)).toBe(300 * 1000);
+        expect(new Date(started_at).getTime()).toBeGreaterThanOrEqual(before);
+    });
+
+    it(`accepts a submission up to ${SUBMIT_GRACE_SECONDS} seconds after expires_at and rejects one after that`, async () => {
+        directus.db.lms_lessons[2].quiz_time_limit = 5;
+        const expiredAgo = async seconds => {
+            const started = await startQuiz();
+            directus.db.lms_quiz_attempts[started.body.attemptId].expires_at = new Date(Date.now() - seconds * 1000).toISOString();
+            return submit({attemptId: started.body.attemptId, selectedAnswers: CORRECT});
+        };
+
+        const late = await expiredAgo(SUBMIT_GRACE_SECONDS - 5);
+        expect(late.statusCode).toBe(200);
+        expect(late.body.passed).toBe(true);
+
+        const tooLate = await expiredAgo(SUBMIT_GRACE_SECONDS + 5);
+        expect(tooLate.statusCode).toBe(409);
+        expect(tooLate.body.error).toBe('The time limit for this attempt has passed');
+    });
+
+    it('does not take a second submission of the same attempt', async () => {
+        const started = await startQuiz();
+        await submit({attemptId: started.body.attemptId, selectedAnswers: WRONG});
+        const again = await submit({attemptId: started.body.attemptId, selectedAnswers: CORRECT});
+
+        expect(again.statusCode).toBe(409);
+        expect(directus.db.lms_quiz_attempts[started.body.attemptId].passed).toBe(false);
+    });
+});
@@ -0,0 +1,206 @@
+import {describe, expect, it, vi} from 'vitest';
+import {buildAttemptQuiz, gradeQuiz, toPublicQuiz, validateAnswers} from '@lib/quiz';
+import {createRandom} from '@lib/random';
+
+const QUIZ = [
+    {question_key: 'capital', type: 'short_answer', question: 'Capital of France?', answer_pattern: '^paris( france)?$'},
+    {question_key: 'broken', type: 'short_answer', question: 'Broken pattern', answer_pattern: '(unclosed'}
+];
+
+const CHOICES = [{choice: 'a', text: 'HTML'}, {choice: 'b', text: 'CSS'}, {choice: 'c', text: 'JavaScript'}];
+
+// One question of every type
+const MIXED_QUIZ = [
+    {question_key: 'styles', question: 'Which language styles a page?', choices: CHOICES, answer: 'b'},
+    {question_key: 'browser', type: 'multiple', question: 'Which run in the browser?', choices: CHOICES, answer: ['a', 'b', 'c']},
+    {question_key: 'markup', type: 'multiple', question: 'Which are markup?', choices: CHOICES, answer: ['a']},
+    {question_key: 'semantic', type: 'true_false', question: '<nav> is semantic.', answer: true},
+    {question_key: 'tag', type: 'short_answer', question: 'The root element?', accepted_answers: ['html', '<html>']},
+    {question_key: 'exact', type: 'short_answer', question: 'The DOM method?', accepted_answers: ['querySelector'], case_sensitive: true},
+    {question_key: 'order', type: 'ordering', question: 'Order the layers', choices: CHOICES, answer: ['a', 'b', 'c']}
+];
+
+// A bank of ten single choice questions, q1 to q10
+const BANK = Array.from({length: 10}, (_, index) => ({
+    question_key: `q${index + 1}`,
+    question: `Question ${index + 1}`,
+    choices: CHOICES,
+    answer: 'a'
+}));
+
+const keys = questions => questions.map(question => question.question_key);
+const choicesOf = question => question.choices.map(choice => choice.choice);
+
+const resultsFor = answers => gradeQuiz(MIXED_QUIZ, answers).results;
+
+describe('gradeQuiz', () => {
+    it('marks a question with an invalid answer_pattern wrong and reports it instead of logging', () => {
+        const error = vi.spyOn(console, 'error');
+        const graded = gradeQuiz(QUIZ, {capital: 'Paris', broken: 'anything'});
+
+        expect(graded).toMatchObject({correctCount: 1, totalQuestions: 2, score: 50});
+        expect(graded.results.broken.correct).toBe(false);
+        expect(graded.problems).toEqual([{questionKey: 'broken', message: expect.stringMatching(/^Invalid answer_pattern: /)}]);
+        expect(error).not.toHaveBeenCalled();
+    });
+
+    it('reports no problems for a quiz that grades cleanly', () => {
+        expect(gradeQuiz(QUIZ.slice(0, 1), {capital: 'Lyon'}).problems).toEqual([]);
+    });
+
+    it('grades a fully correct submission of every type', () => {
+        const result = gradeQuiz(MIXED_QUIZ, {
+            styles: 'b',
+            browser: ['c', 'a', 'b'],
+            markup: ['a'],
+            semantic: 'true',
+            tag: '  <HTML> ',
+            exact: 'querySelector',
+            order: ['a', 'b', 'c']
+        });
+
+        expect(result).toMatchObject({correctCount: 7, totalQuestions: 7, score: 100, problems: []});
+    });
+
+    it('gives no credit for part of a multiple choice answer or extra choices', () => {
+        expect(resultsFor({browser: ['a', 'b']}).browser.correct).toBe(false);
+        expect(resultsFor({markup: ['a', 'b']}).markup.correct).toBe(false);
+        expect(resultsFor({markup: []}).markup.correct).toBe(false);
+    });
+
+    it('grades true_false answers sent as booleans or strings', () => {
+        expect(resultsFor({semantic: true}).semantic.correct).toBe(true);
+        expect(resultsFor({semantic: 'false'}).semantic).toEqual({selected: 'false', correct: false, correctAnswer: true});
+    });
+
+    it('compares short answers without case or extra spaces unless asked to', () => {
+        expect(resultsFor({tag: 'Html'}).tag.correct).toBe(true);
+        expect(resultsFor({tag: 'head'}).tag.correct).toBe(false);
+        expect(resultsFor({tag: '   '}).tag.correct).toBe(false);
+        expect(resultsFor({exact: 'queryselector'}).exact.correct).toBe(false);
+        expect(resultsFor({exact: ' querySelector '}).exact).toEqual({
+            selected: ' querySelector ', correct: true, correctAnswer: 'querySelector'
+        });
+    });
+
+    it('needs an ordering in exactly the right order', () => {
+        expect(resultsFor({order: ['a', 'c', 'b']}).order).toEqual({
+            selected: ['a', 'c', 'b'], correct: false, correctAnswer: ['a', 'b', 'c']
+        });
+    });
+
+    it('counts unanswered questions as wrong', () => {
+        const result = gradeQuiz(MIXED_QUIZ, {styles: 'b'});
+
+        expect(result).toMatchObject({correctCount: 1, totalQuestions: 7, score: 14});
+        expect(result.results.order).toMatchObject({selected: null, correct: false});
+    });
+
+    it('still grades a legacy quiz whose questions have no type as single choice', () => {
+        const legacy = [
+            {question_key: 'q1', question: 'Pick b', choices: CHOICES, answer: 'b'},
+            {question_key: 'q2', question: 'Pick c', choices: CHOICES, answer: 'c'}
+        ];
+        const result = gradeQuiz(legacy, {q1: 'b', q2: 'a'});
+
+        expect(result).toMatchObject({correctCount: 1, totalQuestions: 2, score: 50});
+        expect(result.results.q1).toEqual({selected: 'b', correct: true, correctAnswer: 'b'});
+        expect(toPublicQuiz(legacy)[0]).toEqual({question_key: 'q1', question: 'Pick b', choices: CHOICES, type: 'single'});
+    });
+
+    it('throws for a question type it does not know', () => {
+        expect(() => gradeQuiz([{question_key: 'q', type: 'essay'}], {q: 'text'})).toThrow(/Unsupported quiz question type "essay"/);
+    });
+});
+
+describe('validateAnswers', () => {
+    it('accepts well-formed answers of every type and skips unanswered questions', () => {
+        expect(validateAnswers(MIXED_QUIZ, {
+            styles: 'a',
+            browser: ['a'],
+            semantic: false,
+            tag: 'body',
+            order: ['c', 'b', 'a'],
+            exact: null
+        })).toEqual({});
+    });
+
+    it('rejects answers of the wrong shape', () => {
+        expect(validateAnswers(MIXED_QUIZ, {
+            styles: 'z',
+            browser: 'a',
+            markup: ['a', 'a'],
+            semantic: 'yes',
+            tag: 42,
+            exact: 'x'.repeat(501),
+            order: ['a', 'b']
+        })).toEqual({
+            styles: 'must be one of the choices',
+            browser: 'must be a list of choices',
+            markup: 'must not repeat a choice',
+            semantic: 'must be true or false',
+            tag: 'must be text',
+            exact: 'must be at most 500 characters',
+            order: 'must list every item exactly once'
+        });
+    });
+
+    it('rejects an ordering that repeats one item in place of another', () => {
+        expect(validateAnswers(MIXED_QUIZ, {order: ['a', 'a', 'b']})).toEqual({order: 'must list every item exactly once'});
+    });
+});
+
+describe('createRandom', () => {
+    it('yields the same sequence for the same seed', () => {
+        const draw = seed => {
+            const random = createRandom(seed);
+            return Array.from({length: 5}, () => random());
+        };
+
+        expect(draw('3f9a0c1d')).toEqual(draw('3f9a0c1d'));
+        expect(draw('3f9a0c1d')).not.toEqual(draw('3f9a0c1e'));
+        draw('3f9a0c1d').forEach(value => expect(value >= 0 && value < 1).toBe(true));
+    });
+});
+
+describe('buildAttemptQuiz', () => {
+    const drawLesson = {quiz: BANK, quiz_question_count: 4, quiz_shuffle: true};
+
+    it('rebuilds the same questions, order and choices from the same seed', () => {
+        expect(buildAttemptQuiz(drawLesson, 'seed-1')).toEqual(buildAttemptQuiz(drawLesson, 'seed-1'));
+
+        const draws = ['seed-1', 'seed-2', 'seed-3', 'seed-4'].map(seed => JSON.stringify(buildAttemptQuiz(drawLesson, seed)));
+        expect(new Set(draws).size).toBeGreaterThan(1);
+    });
+
+    it('draws quiz_question_count different questions from the bank', () => {
+        ['a', 'b', 'c', 'd', 'e'].forEach(seed => {
+            const drawn = keys(buildAttemptQuiz(drawLesson, seed));
+
+            expect(drawn).toHaveLength(4);
+            expect(new Set(drawn).size).toBe(4);
+            drawn.forEach(key => expect(keys(BANK)).toContain(key));
+        });
+    });
+
+    it('keeps the authored order of the drawn questions unless shuffling', () => {
+        const drawn = keys(buildAttemptQuiz({quiz: BANK, quiz_question_count: 4}, 'seed-1'));
+
+        expect(drawn).toEqual(keys(BANK).filter(key => drawn.includes(key)));
+    });
+
+    it('gives every question when quiz_question_count is missing or larger than the bank', () => {
+        expect(buildAttemptQuiz({quiz: BANK}, 'seed-1')).toEqual(BANK);
+        expect(keys(buildAttemptQuiz({quiz: BANK, quiz_question_count: 50}, 'seed-1'))).toEqual(keys(BANK));
+    });
+
+    it('always shuffles the items of an ordering question, the same way for the same seed', () => {
+        const items = 'abcdefgh'.split('').map(choice => ({choice, text: choice.toUpperCase()}));
+        const lesson = {quiz: [{question_key: 'order', type: 'ordering', choices: items, answer: items.map(item => item.choice)}]};
+        const orders = ['a', 'b', 'c', 'd'].map(seed => choicesOf(buildAttemptQuiz(lesson, seed)[0]));
+
+        expect(choicesOf(buildAttemptQuiz(lesson, 'a')[0])).toEqual(orders[0]);
+        expect(orders.some(order => order.join('') !== 'abcdefgh')).toBe(true);
+        orders.forEach(order => expect([...order].sort()).toEqual(items.map(item => item.choice)));
+    });
+});
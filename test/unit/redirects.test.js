@@ -0,0 +1,70 @@
+import {describe, expect, it} from 'vitest';
+import {parseEnrollmentCallback, safeInternalPath} from '@lib/redirects';
+
+const SITE_URL = 'https://learn.example.com';
+
+describe('safeInternalPath', () => {
+    it('keeps paths on this site', () => {
+        expect(safeInternalPath('/enrollments/12')).toBe('/enrollments/12');
+        expect(safeInternalPath('/lessons/3?callback=%2Fenrollments%2F1#quiz')).toBe('/lessons/3?callback=%2Fenrollments%2F1#quiz');
+    });
+
+    it.each([
+        ['an absolute URL', 'https://evil.example/'],
+        ['a protocol-relative URL', '//evil.example/path'],
+        ['a backslash the browser turns into a slash', '/\\evil.example'],
+        ['a backslash further in', '/foo\\..\\\\evil.example'],
+        ['a javascript: URL', 'javascript:alert(document.cookie)'],
+        ['a data: URL', 'data:text/html,<script>alert(1)</script>'],
+        ['a tab the browser strips', '/\t/evil.example'],
+        ['a newline the browser strips', '/\n/evil.example'],
+        ['a relative path', 'enrollments/12'],
+        ['an empty string', ''],
+        ['a list of values', ['/enrollments/1', '//evil.example']],
+        ['a missing value', undefined]
+    ])('falls back for %s', (description, value) => {
+        expect(safeInternalPath(value)).toBe('/');
+        expect(safeInternalPath(value, '/login')).toBe('/login');
+    });
+});
+
+describe('parseEnrollmentCallback', () => {
+    it('accepts an enrollment page given as a path or as a URL on this site', () => {
+        const expected = {enrollmentId: '12', callbackUrl: '/enrollments/12'};
+        expect(parseEnrollmentCallback('/enrollments/12', SITE_URL)).toEqual(expected);
+        expect(parseEnrollmentCallback('/enrollments/12/', SITE_URL)).toEqual(expected);
+        expect(parseEnrollmentCallback(`${SITE_URL}/enrollments/12?tab=modules#top`, SITE_URL)).toEqual(expected);
+    });
+
+    it('accepts uuid enrollment ids', () => {
+        expect(parseEnrollmentCallback('/enrollments/3f1c2a9e-0b7d-4c55-9a41-2e8f6d0c7b13', SITE_URL))
+            .toMatchObject({enrollmentId: '3f1c2a9e-0b7d-4c55-9a41-2e8f6d0c7b13'});
+    });
+
+    it.each([
+        ['another host', 'https://evil.example/enrollments/12'],
+        ['a host that merely starts like ours', 'https://learn.example.com.evil.example/enrollments/12'],
+        ['credentials in front of another host', `${SITE_URL}@evil.example/enrollments/12`],
+        ['plain http on our host', 'http://learn.example.com/enrollments/12'],
+        ['another port on our host', 'https://learn.example.com:8443/enrollments/12'],
+        ['a protocol-relative URL', '//evil.example/enrollments/12'],
+        ['backslashes', '/\\evil.example/enrollments/12'],
+        ['a javascript: URL', 'javascript:alert(1)//enrollments/12'],
+        ['a data: URL', 'data:text/html,<script>alert(1)</script>'],
+        ['a page that is not an enrollment', '/courses/1'],
+        ['a path below an enrollment', '/enrollments/12/../../logout'],
+        ['an id that smuggles a path', '/enrollments/12%2F..%2Fadmin'],
+        ['an id with markup', '/enrollments/<script>'],
+        ['an encoded slash as the whole id', '/enrollments/%2F%2Fevil.example'],
+        ['an empty value', ''],
+        ['a list of values', ['/enrollments/12']],
+        ['a missing value', undefined]
+    ])('rejects %s', (description, value) => {
+        expect(parseEnrollmentCallback(value, SITE_URL)).toBeNull();
+    });
+
+    it('never hands back anything but the normalized enrollment path', () => {
+        const result = parseEnrollmentCallback('/enrollments/12?next=https://evil.example', SITE_URL);
+        expect(result).toEqual({enrollmentId: '12', callbackUrl: '/enrollments/12'});
+    });
+});
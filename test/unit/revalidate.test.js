@@ -0,0 +1,146 @@
+import {beforeEach, describe, expect, it, vi} from 'vitest';
+import handler from '../../pages/api/revalidate.js';
+import {getCache} from '@lib/cache';
+import {getCachedCourse, getCachedLesson} from '@lib/catalog';
+import {COURSE_OUTLINE_FIELDS} from '@lib/courses';
+import {LESSON_RESOURCE_FIELDS} from '@lib/resources';
+import {requestsTo, useMockDirectus} from './helpers.js';
+
+const SECRET = 'unit-test-revalidate-secret-0123456789';
+
+// Read on the first getConfig() call, which comes after this. The cache is
+// on here so purges have something to drop.
+process.env.REVALIDATE_SECRET = SECRET;
+process.env.CONTENT_CACHE_SECONDS = '300';
+
+const directus = useMockDirectus();
+
+beforeEach(() => {
+    for (const name of ['courses', 'lessons', 'lesson-content']) getCache(name, {ttl: 300}).clear();
+});
+
+// The request and response an API route receives; res.revalidate records
+// the pages asked for
+function callRevalidate(body, {revalidate = async () => {}} = {}) {
+    const req = {method: 'POST', url: '/api/revalidate', headers: {authorization: `Bearer ${SECRET}`}, body};
+    const res = {
+        statusCode: 200,
+        headersSent: false,
+        body: null,
+        setHeader() {},
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(value) {
+            this.body = value;
+            return this;
+        },
+        revalidate: vi.fn(revalidate)
+    };
+    return handler(req, res).then(() => res);
+}
+
+describe('POST /api/revalidate', () => {
+    it('regenerates the pages of the changed lessons and the rest of their course', async () => {
+        const alone = await callRevalidate({collection: 'lms_lessons', keys: [5]});
+        const withSiblings = await callRevalidate({collection: 'lms_lessons', keys: [2]});
+
+        expect(alone.statusCode).toBe(200);
+        expect(alone.body).toMatchObject({revalidated: 1, failed: []});
+        expect(alone.revalidate.mock.calls).toEqual([['/lessons/5']]);
+        expect(withSiblings.revalidate.mock.calls.map(([path]) => path).sort())
+            .toEqual(['/lessons/1', '/lessons/2', '/lessons/3', '/lessons/4']);
+    });
+
+    it('purges the course of a changed module and regenerates its lesson pages', async () => {
+        await getCachedCourse(1, {fields: COURSE_OUTLINE_FIELDS});
+        await getCachedCourse(2, {fields: COURSE_OUTLINE_FIELDS});
+        const res = await callRevalidate({collection: 'lms_modules', keys: [2]});
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual({purged: {courses: 1, lessons: 0, lessonContent: 0}, revalidated: 4, failed: []});
+        expect(res.revalidate.mock.calls.map(([path]) => path).sort()).toEqual(['/lessons/1', '/lessons/2', '/lessons/3', '/lessons/4']);
+        expect(requestsTo(directus, 'GET', '/items/lms_modules')).toHaveLength(1);
+    });
+
+    it('still regenerates a deleted lesson so its page turns into a 404', async () => {
+        delete directus.db.lms_lessons[5];
+        const res = await callRevalidate({lessons: [5]});
+
+        expect(res.body).toMatchObject({revalidated: 1, failed: []});
+        expect(res.revalidate.mock.calls).toEqual([['/lessons/5']]);
+    });
+
+    it('purges the lesson that listed a deleted resource', async () => {
+        await getCachedLesson(1, {fields: ['id', ...LESSON_RESOURCE_FIELDS]});
+        await getCachedLesson(2, {fields: ['id', ...LESSON_RESOURCE_FIELDS]});
+        delete directus.db.lms_lesson_resources[2];
+        const res = await callRevalidate({collection: 'lms_lesson_resources', keys: [2]});
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.purged).toMatchObject({lessons: 1});
+        expect(res.revalidate).not.toHaveBeenCalled();
+    });
+
+    it('regenerates the course of a lesson whose resource changed', async () => {
+        const res = await callRevalidate({collection: 'lms_lesson_resources', keys: [1]});
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.revalidated).toBe(4);
+    });
+
+    it('regenerates a few pages at a time', async () => {
+        let running = 0;
+        let mostRunning = 0;
+        const res = await callRevalidate({lessons: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]}, {
+            revalidate: async () => {
+                mostRunning = Math.max(mostRunning, ++running);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                running--;
+            }
+        });
+
+        expect(res.body).toMatchObject({revalidated: 10, failed: []});
+        expect(mostRunning).toBe(4);
+    });
+
+    it('answers 500 with the pages that could not be regenerated', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const res = await callRevalidate({lessons: [1, 2]}, {
+            revalidate: async path => {
+                if (path === '/lessons/2') throw new Error('Render failed');
+            }
+        });
+
+        expect(res.statusCode).toBe(500);
+        expect(res.body).toMatchObject({revalidated: 3, failed: ['2']});
+    });
+
+    it('still purges cached copies when the course of a module cannot be read', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_modules', {status: 500});
+        await getCachedCourse(1, {fields: COURSE_OUTLINE_FIELDS});
+        const res = await callRevalidate({collection: 'lms_modules', keys: [1]});
+
+        expect(res.statusCode).toBe(500);
+        expect(res.body.purged).toMatchObject({courses: 1});
+        expect(res.revalidate).not.toHaveBeenCalled();
+    });
+
+    it('regenerates the changed lessons when the rest of their course cannot be read', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        directus.intercept('GET', '/items/lms_lessons', {status: 500});
+        const res = await callRevalidate({lessons: [1]});
+
+        expect(res.statusCode).toBe(500);
+        expect(res.body).toMatchObject({error: 'Could not look up every lesson page to regenerate', revalidated: 1, failed: []});
+        expect(res.revalidate.mock.calls).toEqual([['/lessons/1']]);
+    });
+
+    it('rejects collections that are not cached', async () => {
+        const res = await callRevalidate({collection: 'lms_enrollments', keys: [1]});
+
+        expect(res.statusCode).toBe(400);
+    });
+});
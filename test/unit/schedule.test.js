@@ -0,0 +1,72 @@
+import {describe, expect, it} from 'vitest';
+import {getModuleReleaseDate, getUnreleasedLessons} from '@lib/schedule';
+
+const ENROLLED_AT = '2025-03-01T09:30:00.000Z';
+const NOW = new Date('2025-03-10T12:00:00.000Z');
+
+function course(...modules) {
+    return {
+        modules: modules.map((schedule, index) => ({
+            id: index + 1,
+            release_after_days: null,
+            release_date: null,
+            ...schedule,
+            lessons: [{id: index * 10 + 1}, {id: index * 10 + 2}]
+        }))
+    };
+}
+
+const unreleased = (target, {enrolledAt = ENROLLED_AT, completed = [], now = NOW} = {}) =>
+    Object.fromEntries(getUnreleasedLessons(target, {date_created: enrolledAt}, completed, now));
+
+describe('getUnreleasedLessons', () => {
+    it('opens a module release_after_days after the learner enrolled', () => {
+        const target = course({release_after_days: 7}, {release_after_days: 14});
+
+        expect(unreleased(target)).toEqual({11: '2025-03-15T09:30:00.000Z', 12: '2025-03-15T09:30:00.000Z'});
+        expect(unreleased(target, {enrolledAt: '2025-03-08T00:00:00.000Z'})).toMatchObject({1: '2025-03-15T00:00:00.000Z'});
+    });
+
+    it('opens a module on its fixed release_date, whenever the learner enrolled', () => {
+        const target = course({release_date: '2025-04-01T00:00:00.000Z'});
+
+        expect(unreleased(target)).toEqual({1: '2025-04-01T00:00:00.000Z', 2: '2025-04-01T00:00:00.000Z'});
+        expect(unreleased(target, {now: new Date('2025-04-02T00:00:00.000Z')})).toEqual({});
+    });
+
+    it('waits for the later of the two when both are set', () => {
+        const fixedLater = course({release_after_days: 3, release_date: '2025-03-20T00:00:00.000Z'});
+        const offsetLater = course({release_after_days: 30, release_date: '2025-03-20T00:00:00.000Z'});
+
+        expect(unreleased(fixedLater)[1]).toBe('2025-03-20T00:00:00.000Z');
+        expect(unreleased(offsetLater)[1]).toBe('2025-03-31T09:30:00.000Z');
+    });
+
+    it('opens a module at exactly its release instant', () => {
+        const target = course({release_after_days: 7});
+        const releasedAt = new Date('2025-03-08T09:30:00.000Z');
+
+        expect(unreleased(target, {now: new Date(releasedAt.getTime() - 1)})).toHaveProperty('1');
+        expect(unreleased(target, {now: releasedAt})).toEqual({});
+    });
+
+    it('cannot count days from a missing enrollment date and keeps only the fixed date', () => {
+        const target = course({release_after_days: 7}, {release_after_days: 7, release_date: '2025-04-01T00:00:00.000Z'});
+
+        expect(unreleased(target, {enrolledAt: null})).toEqual({11: '2025-04-01T00:00:00.000Z', 12: '2025-04-01T00:00:00.000Z'});
+        expect(unreleased(target, {enrolledAt: 'not a date'})).toEqual(unreleased(target, {enrolledAt: null}));
+    });
+
+    it('leaves unscheduled modules and completed lessons open', () => {
+        const target = course({}, {release_after_days: 0}, {release_after_days: 30});
+
+        expect(unreleased(target, {completed: ['21']})).toEqual({22: '2025-03-31T09:30:00.000Z'});
+    });
+});
+
+describe('getModuleReleaseDate', () => {
+    it('is null for a module with no schedule', () => {
+        expect(getModuleReleaseDate({release_after_days: null, release_date: null}, ENROLLED_AT)).toBeNull();
+        expect(getModuleReleaseDate({release_after_days: -2}, ENROLLED_AT)).toBeNull();
+    });
+});
@@ -0,0 +1,56 @@
+import {describe, expect, it, vi} from 'vitest';
+import {login} from '@lib/auth';
+import {getSession, readSession, SESSION_COOKIE, seal} from '@lib/session';
+import {createContext, requestsTo, useMockDirectus} from './helpers.js';
+
+const directus = useMockDirectus();
+
+// A request carrying a session whose access token is about to expire
+async function expiringRequest() {
+    const {tokens, user} = await login('ada@example.com', 'password');
+    const {req} = createContext();
+    req.cookies[SESSION_COOKIE] = seal({...tokens, expiresAt: Date.now(), user});
+    return req;
+}
+
+const responseCookie = res => res.getHeader('Set-Cookie');
+
+describe('getSession', () => {
+    it('refreshes an expiring session once for requests that arrive together', async () => {
+        const req = await expiringRequest();
+        const [first, second] = [createContext().res, createContext().res];
+        const sessions = await Promise.all([getSession(req, first), getSession(req, second)]);
+
+        expect(sessions.map(session => session?.user.email)).toEqual(['ada@example.com', 'ada@example.com']);
+        expect(sessions[1].accessToken).toBe(sessions[0].accessToken);
+        expect(requestsTo(directus, 'POST', '/auth/refresh')).toHaveLength(1);
+        for (const res of [first, second]) {
+            expect(responseCookie(res)).not.toMatch(/Max-Age=0/);
+            const value = responseCookie(res).split(';')[0].slice(SESSION_COOKIE.length + 1);
+            expect(readSession({cookies: {[SESSION_COOKIE]: value}}).refreshToken).toBe(sessions[0].refreshToken);
+        }
+    });
+
+    it('reuses the refresh for a request that still sends the old cookie just after', async () => {
+        const req = await expiringRequest();
+        const first = await getSession(req, createContext().res);
+        const res = createContext().res;
+        const second = await getSession(req, res);
+
+        expect(second.accessToken).toBe(first.accessToken);
+        expect(responseCookie(res)).not.toMatch(/Max-Age=0/);
+    });
+
+    it('signs out when the refresh token is turned away', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const req = await expiringRequest();
+        directus.intercept('POST', '/auth/refresh', {
+            status: 401,
+            body: {errors: [{message: 'Invalid user credentials.', extensions: {code: 'INVALID_CREDENTIALS'}}]}
+        });
+        const {res} = createContext();
+
+        expect(await getSession(req, res)).toBeNull();
+        expect(responseCookie(res)).toMatch(/Max-Age=0/);
+    });
+});
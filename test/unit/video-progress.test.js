@@ -0,0 +1,112 @@
+import {describe, expect, it, vi} from 'vitest';
+import handler from '../../pages/api/enrollments/[id]/video-progress.js';
+import {addLesson} from '@lib/completions';
+import {callApi, INSTRUCTOR, LEARNER, requestsTo, useMockDirectus} from './helpers.js';
+
+const directus = useMockDirectus();
+
+const MINUTE_MS = 60 * 1000;
+
+function giveVideo(lessonId, fields = {}) {
+    Object.assign(directus.db.lms_lessons[lessonId], {
+        video_type: 'url',
+        video_url: 'https://videos.example.org/intro.mp4',
+        video_duration: 600,
+        video_min_watch_percent: 80,
+        ...fields
+    });
+}
+
+const saveProgress = (body, user = LEARNER) =>
+    callApi(handler, {method: 'POST', query: {id: '1'}, body, user});
+
+describe('POST /api/enrollments/[id]/video-progress', () => {
+    it('measures progress against the lesson\'s duration, not the one sent', async () => {
+        giveVideo(1);
+        const res = await saveProgress({lessonId: 1, segments: [[0, 1]], position: 1, duration: 1});
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({duration: 600, percent_watched: 0, segments: [[0, 1]]});
+    });
+
+    it('cannot be used to get past the minimum watch time by claiming a short video', async () => {
+        giveVideo(1);
+        await saveProgress({lessonId: 1, segments: [[0, 1]], position: 1, duration: 1});
+
+        expect(await addLesson(1, 1)).toBe(409);
+    });
+
+    it('falls back to the duration of the uploaded file', async () => {
+        giveVideo(1, {video_type: 'file', video_file: 'video-1', video_duration: null});
+        directus.db.directus_files['video-1'] = {id: 'video-1', type: 'video/mp4', duration: 100};
+        const res = await saveProgress({lessonId: 1, segments: [[0, 20]], position: 20});
+
+        expect(res.body).toMatchObject({duration: 100, percent_watched: 20});
+    });
+
+    it('credits no more than the video could have played since the last save', async () => {
+        giveVideo(1);
+        const first = await saveProgress({lessonId: 1, segments: [[0, 600]], position: 600});
+
+        expect(first.body.segments).toEqual([[0, 60]]);
+
+        const row = directus.db.lms_video_progress[first.body.id];
+        row.saved_at = new Date(Date.now() - 2 * MINUTE_MS).toISOString();
+        const second = await saveProgress({lessonId: 1, segments: [[0, 600]], position: 600});
+
+        // Two minutes at up to twice the speed
+        expect(second.body.segments[0][1]).toBeCloseTo(300, 0);
+        expect(second.body.percent_watched).toBe(50);
+    });
+
+    it('keeps the position of a video whose length is not known, without a percentage', async () => {
+        giveVideo(1, {video_duration: null});
+        const res = await saveProgress({lessonId: 1, segments: [[0, 10]], position: 10, duration: 10});
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({position: 10, duration: null, percent_watched: null});
+    });
+
+    it('adds to the row a concurrent save created first', async () => {
+        giveVideo(1);
+        directus.db.lms_video_progress[7] = {
+            id: 7, enrollment: 1, lesson: 1, segments: [[0, 10]], position: 10, duration: 600, percent_watched: 1,
+            saved_at: new Date(Date.now() - MINUTE_MS).toISOString()
+        };
+        // The row is not there yet when the save looks, and the index turns away a second one
+        directus.intercept('GET', '/items/lms_video_progress', {status: 200, body: {data: []}}, {times: 1});
+        directus.intercept('POST', '/items/lms_video_progress', {
+            status: 400,
+            body: {errors: [{message: 'Value has to be unique.', extensions: {code: 'RECORD_NOT_UNIQUE'}}]}
+        });
+        const res = await saveProgress({lessonId: 1, segments: [[20, 30]], position: 30});
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({id: 7, segments: [[0, 10], [20, 30]]});
+        expect(Object.keys(directus.db.lms_video_progress)).toEqual(['7']);
+        expect(requestsTo(directus, 'PATCH', '/items/lms_video_progress/7')).toHaveLength(1);
+    });
+
+    it('records nothing for a lesson that has not been released', async () => {
+        giveVideo(3);
+        const res = await saveProgress({lessonId: 3, segments: [[0, 10]], position: 10});
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.error).toMatch(/^This lesson opens on/);
+        expect(directus.db.lms_video_progress).toEqual({});
+    });
+
+    it('lets staff record progress on an enrollment\'s locked lesson', async () => {
+        giveVideo(3);
+        const res = await saveProgress({lessonId: 3, segments: [[0, 10]], position: 10}, INSTRUCTOR);
+
+        expect(res.statusCode).toBe(200);
+    });
+
+    it('rejects segments that are not [start, end] pairs', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const res = await saveProgress({lessonId: 1, segments: [[0]], position: 0});
+
+        expect(res.statusCode).toBe(400);
+    });
+});
@@ -0,0 +1,27 @@
+import {describe, expect, it} from 'vitest';
+import {getLessonVideo} from '@lib/video';
+
+const DIRECTUS_URL = 'https://cms.example.com';
+const CAPTIONS = [{file: 'captions-en', srclang: 'en', label: 'English', default: true}];
+
+describe('getLessonVideo', () => {
+    it('asks for CORS only when a Directus video has captions', () => {
+        expect(getLessonVideo({video_type: 'file', video_file: 'video-1', video_captions: CAPTIONS}, DIRECTUS_URL))
+            .toMatchObject({kind: 'file', crossOrigin: 'anonymous', captions: [{src: `${DIRECTUS_URL}/assets/captions-en`}]});
+        expect(getLessonVideo({video_type: 'file', video_file: 'video-1'}, DIRECTUS_URL))
+            .toMatchObject({kind: 'file', crossOrigin: null, captions: []});
+    });
+
+    it('plays direct links from other hosts without CORS', () => {
+        const video = getLessonVideo({video_type: 'url', video_url: 'https://videos.example.org/intro.mp4', video_captions: CAPTIONS}, DIRECTUS_URL);
+
+        expect(video).toEqual({
+            kind: 'file',
+            src: 'https://videos.example.org/intro.mp4',
+            mimeType: 'video/mp4',
+            captions: [],
+            crossOrigin: null,
+            trackable: true
+        });
+    });
+});
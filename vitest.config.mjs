@@ -0,0 +1,45 @@
+import {fileURLToPath} from 'node:url';
+import {transformWithEsbuild} from 'vite';
+import {defineConfig} from 'vitest/config';
+import {MOCK_TOKEN} from './test/mock-directus/fixtures.mjs';
+
+const fromRoot = path => fileURLToPath(new URL(path, import.meta.url));
+
+// Pages and components are .js files with JSX, which Vite only expects in .jsx
+function jsxInJs() {
+    return {
+        name: 'jsx-in-js',
+        enforce: 'pre',
+        transform(code, id) {
+            if (!/\/(pages|components)\/.*\.js$/.test(id)) return null;
+            return transformWithEsbuild(code, id, {loader: 'jsx', jsx: 'automatic'});
+        }
+    };
+}
+
+export default defineConfig({
+    // The jsconfig.json path aliases
+    resolve: {
+        alias: {
+            '@components': fromRoot('./components'),
+            '@lib': fromRoot('./lib'),
+            '@styles': fromRoot('./styles')
+        }
+    },
+    plugins: [jsxInJs()],
+    test: {
+        include: ['test/unit/**/*.test.js'],
+        environment: 'node',
+        restoreMocks: true,
+        // OPTICAL_API_ENDPOINT is set by test/unit/helpers.js once the mock
+        // Directus is listening. The content cache is off so every test sees
+        // the fixtures it set up. Info entries would bury the test output.
+        env: {
+            DIRECTUS_API_TOKEN: MOCK_TOKEN,
+            PUBLIC_URL: 'http://localhost:3000',
+            SESSION_SECRET: 'test-session-secret-0123456789abcdef',
+            CONTENT_CACHE_SECONDS: '0',
+            LOG_LEVEL: 'warn'
+        }
+    }
+});